@@ -7,10 +7,25 @@
 // Global Variables and State
 // ============================================
 let currentScreen = 1;
-let isSpeaking = false;
-let speechSynthesis = window.speechSynthesis;
+let speechSynthesis = window.speechSynthesis; // Undefined in browsers without Web Speech
 let selectedVoice = null;
 
+// Localization State
+let currentLocale = null; // Locale of the message catalog in use, e.g. 'en-AU' (see locales.js)
+
+// Speech Queue State
+let speechQueue = []; // Requests waiting to be spoken, in order
+let currentSpeech = null; // Request being spoken
+let speechPaused = false;
+let pausedWhileHidden = false; // Speech paused because the page was hidden
+let textOnlyWarningShown = false;
+const failedAudioClips = new Set(); // Prompt ids whose recorded clips could not be played
+const speechEvents = new EventTarget(); // 'start', 'end', 'pause', 'resume' and 'idle' events
+
+// Preferences State
+let activeProfile = null; // Name of the student whose preferences are in use
+let preferences = null; // Reading and speech preferences of the active profile
+
 // Screen 4 Demo State
 let demoRunning = false;
 let demoStopped = false;
@@ -18,1454 +33,6268 @@ let demoStopped = false;
 // Screen 5 Practice State
 let selectedPracticeColor = null;
 let selectedPracticeWord = null;
+let selectedPracticeTerm = null; // Normalized term the selected colour is for
 let highlightedWords = new Set(); // Track which word instances have been highlighted
 let totalWordsToHighlight = 0; // Will be calculated on init
+let practiceQuestion = null; // Guided question from the bank shown on Screen 5
 
-// Screen 6 State
-let screen6SelectedColor = null;
-let screen6EraserMode = false;
-let screen6WordColors = {}; // Maps word element index to its highlight color
+// Free Colour-Coding Question State (Screen 6 onwards)
+let questionScreens = {}; // Maps screen number (or strategy screen name) to its question view state
 
-// Screen 7 State
-let screen7SelectedColor = null;
-let screen7EraserMode = false;
-let screen7WordColors = {}; // Maps word element index to its highlight color
+// Strategy Screens State
+let strategyDemoStopped = false;
 
-// ============================================
-// Initialization
-// ============================================
-document.addEventListener('DOMContentLoaded', function() {
-    initializeApp();
-});
+// Test Mode State
+let testState = null; // Practice test being taken, see Test Mode
 
-function initializeApp() {
-    // Initialize voice
-    initializeVoice();
+// Progress Tracking State
+let progressDatabase = null; // Promise of the opened IndexedDB database
 
-    // Initialize font selector
-    initializeFontSelector();
+// Tutor Screens State
+let tutorReturnScreen = 1; // Student screen to return to when leaving tutor screens
+let editorDraft = null; // Question being written in the question editor
+let editorSelectedToken = null; // { optionIndex, tokenIndex } of the selected word chip
+let themeDraft = null; // Theme being edited in the theme editor
 
-    // Initialize font color swatches
-    initializeFontColorSwatches();
+// ============================================
+// Question Bank
+// ============================================
 
-    // Initialize background color swatches
-    initializeBackgroundColorSwatches();
+// Highlight colours available to colour pickers, named by their 'colour.<name>' message.
+// The pattern and shape mark the colour for colour-blind students (see Colour Markers),
+// named by their 'pattern.<id>' and 'shape.<id>' messages and drawn in styles.css.
+const HIGHLIGHT_COLORS = [
+    { color: '#f5d3ed', name: 'pink', pattern: 'stripes', shape: 'triangle' },
+    { color: '#dcf5d3', name: 'green', pattern: 'dots', shape: 'circle' },
+    { color: '#f6f7b9', name: 'yellow', pattern: 'crosshatch', shape: 'star' },
+    { color: '#c5c5c5', name: 'grey', pattern: 'lines', shape: 'diamond' },
+    { color: '#cee6ff', name: 'blue', pattern: 'bars', shape: 'square' },
+    { color: '#9abecc', name: 'teal', pattern: 'checks', shape: 'cross' },
+    { color: '#f9a2a2', name: 'red', pattern: 'underline', shape: 'heart' }
+];
+
+// Default picker for free colour-coding questions
+const DEFAULT_FREE_PALETTE = ['#f5d3ed', '#dcf5d3', '#f6f7b9', '#cee6ff', '#f9a2a2', '#9abecc'];
+
+/*
+ * Question schema:
+ * {
+ *     id: 'unique-id',
+ *     mode: 'guided' | 'free' | 'tick',  // guided walks the student word by word (Screen 5), free is self-directed,
+ *                                   // tick only asks for the answer (strategies without colour coding)
+ *     strategy: 'frequency',        // optional, id from STRATEGIES the question practises
+ *     locale: 'fr-FR',              // optional, only shown when the app is in this language
+ *     label: 'Question 1',          // optional, shown before the stem
+ *     stem: 'Question text',
+ *     heading: 'Screen heading',    // optional (free questions)
+ *     instructions: 'Instruction text',  // optional for free questions
+ *     prompts: { stem, instructions },   // optional spoken versions, default to the displayed text
+ *     optionLabelStyle: 'dot' | 'paren', // "a." or "a)"
+ *     options: [{ id: 'a', text: 'Mercury, Jupiter', tokens: ['Mercury', 'Jupiter'] }],
+ *                                   // tokens are optional, the option text is split automatically without them
+ *     correct: 'c',
+ *     palette: [{ color: '#f5d3ed', word: 'Id' }] or ['#f5d3ed'],  // guided entries name the word to colour
+ *     explanation: 'Final explanation text'  // optional, generated from the strategy analysis
+ * }
+ */
+const QUESTION_BANK = [
+    {
+        id: 'freud-mind',
+        locale: 'en',
+        mode: 'guided',
+        stem: 'Freud claimed that there are 3 parts of the mind. What were the 3 parts?',
+        instructions: 'Instructions: Colour code the answers using the picker. Click on a colour to start coding.',
+        options: [
+            { id: 'a', text: 'Id, Ego, and Conscious' },
+            { id: 'b', text: 'Unconscious, Id, and Aware' },
+            { id: 'c', text: 'Superego, Ego and Brain' },
+            { id: 'd', text: 'Ego, Superego and Id' }
+        ],
+        correct: 'd',
+        palette: [
+            { color: '#f5d3ed', word: 'Id' },
+            { color: '#dcf5d3', word: 'Ego' },
+            { color: '#f6f7b9', word: 'Conscious' },
+            { color: '#c5c5c5', word: 'Unconscious' },
+            { color: '#cee6ff', word: 'Aware' },
+            { color: '#9abecc', word: 'Brain' },
+            { color: '#f9a2a2', word: 'Superego' }
+        ]
+    },
+    {
+        id: 'planets-closest',
+        locale: 'en',
+        mode: 'free',
+        label: 'Question 1',
+        stem: 'Which are the two planets closest to Earth?',
+        options: [
+            { id: 'a', text: 'Mercury, Jupiter' },
+            { id: 'b', text: 'Venus, Saturn' },
+            { id: 'c', text: 'Mercury, Venus' },
+            { id: 'd', text: 'Mars, Pluto' }
+        ],
+        correct: 'c'
+    },
+    {
+        id: 'mammals',
+        locale: 'en',
+        mode: 'free',
+        label: 'Question 2',
+        stem: 'Which 3 of these animals are mammals?',
+        optionLabelStyle: 'paren',
+        options: [
+            { id: 'a', text: 'Bat, Lizard, Dolphin' },
+            { id: 'b', text: 'Dolphin, Bat, Kangaroo' },
+            { id: 'c', text: 'Penguin, Kangaroo, Bat' },
+            { id: 'd', text: 'Kangaroo, Dolphin, Crocodile' }
+        ],
+        correct: 'b'
+    },
+    {
+        id: 'longest-demo',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'longest',
+        label: 'Demo Question',
+        stem: 'What do plants need to make their own food?',
+        instructions: 'Instructions: Click on Start the demo for the demonstration.',
+        options: [
+            { id: 'a', text: 'Soil' },
+            { id: 'b', text: 'Sunlight, water and carbon dioxide from the air' },
+            { id: 'c', text: 'Darkness' },
+            { id: 'd', text: 'Sugar' }
+        ],
+        correct: 'b'
+    },
+    {
+        id: 'longest-thermometer',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'longest',
+        label: 'Question 1',
+        stem: 'What does a thermometer measure?',
+        options: [
+            { id: 'a', text: 'Weight' },
+            { id: 'b', text: 'Speed' },
+            { id: 'c', text: 'How hot or cold something is, in degrees' },
+            { id: 'd', text: 'Sound' }
+        ],
+        correct: 'c'
+    },
+    {
+        id: 'all-of-the-above-demo',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'all-of-the-above',
+        label: 'Demo Question',
+        stem: 'Which of these are sources of renewable energy?',
+        instructions: 'Instructions: Click on Start the demo for the demonstration.',
+        options: [
+            { id: 'a', text: 'Solar power' },
+            { id: 'b', text: 'Wind power' },
+            { id: 'c', text: 'Hydro power' },
+            { id: 'd', text: 'All of the above' }
+        ],
+        correct: 'd'
+    },
+    {
+        id: 'all-of-the-above-teeth',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'all-of-the-above',
+        label: 'Question 1',
+        stem: 'Why is it important to brush your teeth?',
+        options: [
+            { id: 'a', text: 'To remove bits of food' },
+            { id: 'b', text: 'To help prevent tooth decay' },
+            { id: 'c', text: 'To keep your breath fresh' },
+            { id: 'd', text: 'All of the above' }
+        ],
+        correct: 'd'
+    },
+    {
+        id: 'opposites-demo',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'opposites',
+        label: 'Demo Question',
+        stem: 'What happens to the volume of a gas when it is heated?',
+        instructions: 'Instructions: Click on Start the demo for the demonstration.',
+        options: [
+            { id: 'a', text: 'It changes colour' },
+            { id: 'b', text: 'It increases' },
+            { id: 'c', text: 'It decreases' },
+            { id: 'd', text: 'It turns into a solid' }
+        ],
+        correct: 'b',
+        explanation: 'Heating makes the gas particles move faster and spread out, so the answer is b. It increases.'
+    },
+    {
+        id: 'opposites-heart-rate',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'opposites',
+        label: 'Question 1',
+        stem: 'What happens to your heart rate when you exercise?',
+        options: [
+            { id: 'a', text: 'It stops' },
+            { id: 'b', text: 'It goes down' },
+            { id: 'c', text: 'It goes up' },
+            { id: 'd', text: 'It turns off your lungs' }
+        ],
+        correct: 'c',
+        explanation: 'Your muscles need more oxygen when you exercise, so your heart beats faster. The answer is c. It goes up.'
+    },
+    {
+        id: 'absolute-demo',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'absolute',
+        label: 'Demo Question',
+        stem: 'Which statement about exercise is true?',
+        instructions: 'Instructions: Click on Start the demo for the demonstration.',
+        options: [
+            { id: 'a', text: 'Exercise is always bad for you' },
+            { id: 'b', text: 'Exercise can help keep your heart healthy' },
+            { id: 'c', text: 'You must never exercise after eating' },
+            { id: 'd', text: 'Only athletes need exercise' }
+        ],
+        correct: 'b'
+    },
+    {
+        id: 'absolute-reading',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'absolute',
+        label: 'Question 1',
+        stem: 'Which statement about reading is true?',
+        options: [
+            { id: 'a', text: 'Everyone reads at the same speed' },
+            { id: 'b', text: 'Reading every night is completely useless' },
+            { id: 'c', text: 'Reading often can improve your vocabulary' },
+            { id: 'd', text: 'Nobody enjoys reading' }
+        ],
+        correct: 'c'
+    },
+    {
+        id: 'grammar-demo',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'grammar',
+        label: 'Demo Question',
+        stem: 'The coloured part of your eye is called an',
+        instructions: 'Instructions: Click on Start the demo for the demonstration.',
+        options: [
+            { id: 'a', text: 'pupil' },
+            { id: 'b', text: 'iris' },
+            { id: 'c', text: 'lens' },
+            { id: 'd', text: 'retina' }
+        ],
+        correct: 'b'
+    },
+    {
+        id: 'grammar-plant-eaters',
+        locale: 'en',
+        mode: 'tick',
+        strategy: 'grammar',
+        label: 'Question 1',
+        stem: 'Animals that eat plants and nothing else are',
+        options: [
+            { id: 'a', text: 'a carnivore' },
+            { id: 'b', text: 'an omnivore' },
+            { id: 'c', text: 'herbivores' },
+            { id: 'd', text: 'a predator' }
+        ],
+        correct: 'c'
+    },
+    // French versions of the frequency lesson (Screen 5 and the free questions)
+    {
+        id: 'freud-mind-fr',
+        locale: 'fr',
+        mode: 'guided',
+        stem: 'Freud affirmait que l\'esprit a 3 parties. Quelles étaient ces 3 parties ?',
+        instructions: 'Consignes : Colorie les réponses avec la palette de couleurs. Clique sur une couleur pour commencer.',
+        options: [
+            { id: 'a', text: 'Ça, Moi et Conscient' },
+            { id: 'b', text: 'Inconscient, Ça et Éveillé' },
+            { id: 'c', text: 'Surmoi, Moi et Cerveau' },
+            { id: 'd', text: 'Moi, Surmoi et Ça' }
+        ],
+        correct: 'd',
+        palette: [
+            { color: '#f5d3ed', word: 'Ça' },
+            { color: '#dcf5d3', word: 'Moi' },
+            { color: '#f6f7b9', word: 'Conscient' },
+            { color: '#c5c5c5', word: 'Inconscient' },
+            { color: '#cee6ff', word: 'Éveillé' },
+            { color: '#9abecc', word: 'Cerveau' },
+            { color: '#f9a2a2', word: 'Surmoi' }
+        ]
+    },
+    {
+        id: 'planets-closest-fr',
+        locale: 'fr',
+        mode: 'free',
+        label: 'Question 1',
+        stem: 'Quelles sont les deux planètes les plus proches de la Terre ?',
+        options: [
+            { id: 'a', text: 'Mercure, Jupiter' },
+            { id: 'b', text: 'Vénus, Saturne' },
+            { id: 'c', text: 'Mercure, Vénus' },
+            { id: 'd', text: 'Mars, Pluton' }
+        ],
+        correct: 'c'
+    },
+    {
+        id: 'mammals-fr',
+        locale: 'fr',
+        mode: 'free',
+        label: 'Question 2',
+        stem: 'Lesquels de ces 3 animaux sont des mammifères ?',
+        optionLabelStyle: 'paren',
+        options: [
+            { id: 'a', text: 'Chauve-souris, Lézard, Dauphin' },
+            { id: 'b', text: 'Dauphin, Chauve-souris, Kangourou' },
+            { id: 'c', text: 'Manchot, Kangourou, Chauve-souris' },
+            { id: 'd', text: 'Kangourou, Dauphin, Crocodile' }
+        ],
+        correct: 'b'
+    }
+];
 
-    // Initialize listen buttons
-    initializeListenButtons();
+// Questions written by tutors in the question editor
+const AUTHORED_QUESTIONS_KEY = 'dyslexiaAid.authoredQuestions';
 
-    // Initialize practice color picker (Screen 5)
-    initializePracticeColorPicker();
+// Returns the valid built-in and tutor-authored questions with defaults filled in
+function getQuestionBank() {
+    const seenIds = new Set();
 
-    // Initialize Screen 6
-    initializeScreen6();
+    return QUESTION_BANK.concat(loadAuthoredQuestions())
+        .filter(question => {
+            const errors = validateQuestion(question);
+            if (seenIds.has(question.id)) {
+                errors.push('another question already uses this id');
+            }
+            if (errors.length > 0) {
+                console.error(`Skipping question "${question.id}":`, errors);
+                return false;
+            }
+            seenIds.add(question.id);
+            return true;
+        })
+        .filter(isQuestionInLanguage)
+        .map(normalizeQuestion);
+}
 
-    // Initialize Screen 7
-    initializeScreen7();
+// Stem of any built-in or authored question, whatever its language; the id if it is gone.
+// The tutor screens use it for answers given in another language.
+function getQuestionStem(id) {
+    const question = QUESTION_BANK.concat(loadAuthoredQuestions()).find(q => q.id === id);
+    return question && question.stem ? question.stem : id;
+}
 
-    // Set initial font color (dark blue)
-    document.body.style.color = '#31579B';
+// Questions without a locale are shown in every language
+function isQuestionInLanguage(question) {
+    return !question.locale || getLanguage(question.locale) === getLanguage(currentLocale);
+}
 
-    // Set initial background swatch as active
-    document.querySelector('.bg-swatch[data-color="#DCEAF6"]').classList.add('active');
-    document.body.style.backgroundColor = '#DCEAF6';
+function loadAuthoredQuestions() {
+    try {
+        const stored = localStorage.getItem(AUTHORED_QUESTIONS_KEY);
+        const questions = stored ? JSON.parse(stored) : [];
+        if (!Array.isArray(questions)) {
+            console.error('Ignoring authored questions: the stored value is not a list.');
+            return [];
+        }
+        return questions.filter(isPlainObject);
+    } catch (error) {
+        console.error('Could not load authored questions:', error);
+        return [];
+    }
 }
 
-// ============================================
-// Voice / Speech Synthesis
-// ============================================
-function initializeVoice() {
-    // Wait for voices to load
-    if (speechSynthesis.onvoiceschanged !== undefined) {
-        speechSynthesis.onvoiceschanged = selectAustralianVoice;
+// Returns whether the questions were saved, telling the tutor in the editor when they were not
+function saveAuthoredQuestions(questions) {
+    try {
+        localStorage.setItem(AUTHORED_QUESTIONS_KEY, JSON.stringify(questions));
+        return true;
+    } catch (error) {
+        console.error('Could not save authored questions:', error);
+        setEditorStatus('Could not save the questions: this browser\'s storage is full or blocked.');
+        return false;
     }
-    // Also try immediately in case voices are already loaded
-    setTimeout(selectAustralianVoice, 100);
 }
 
-function selectAustralianVoice() {
-    const voices = speechSynthesis.getVoices();
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-    // Log all available voices for debugging
-    console.log('Available voices:', voices.map(v => `${v.name} (${v.lang})`));
+function validateQuestion(question) {
+    if (!isPlainObject(question)) return ['must be an object'];
 
-    // Priority list for Australian female voices, with British as fallback
-    const priorityChecks = [
-        // Microsoft Windows Australian female voices (Natural/Online voices)
-        v => v.name.toLowerCase().includes('natasha') && v.name.toLowerCase().includes('australia'),
-        v => v.name.toLowerCase().includes('natasha'),
-        // Microsoft Catherine (older Australian voice)
-        v => v.name.toLowerCase().includes('catherine') && v.name.toLowerCase().includes('australia'),
-        // Any voice with en-AU language code
-        v => v.lang === 'en-AU',
-        // Any voice mentioning Australia
-        v => v.name.toLowerCase().includes('australia'),
-        // Google/Cloud voices
-        v => v.name.includes('en-AU'),
-        // British female voices as fallback (closer to Australian accent)
-        v => v.name.toLowerCase().includes('hazel') && v.lang === 'en-GB',
-        v => v.name.toLowerCase().includes('libby'),
-        v => v.name.toLowerCase().includes('sonia'),
-        v => v.lang === 'en-GB',
-        // US female voices as last resort
-        v => v.name.toLowerCase().includes('zira'),
-        v => v.name.toLowerCase().includes('samantha'),
-        v => v.lang === 'en-US',
-        v => v.lang.startsWith('en')
-    ];
+    const errors = [];
 
-    for (const check of priorityChecks) {
-        const voice = voices.find(check);
-        if (voice) {
-            selectedVoice = voice;
-            console.log('Selected voice:', voice.name, voice.lang);
-            return;
-        }
+    if (!question.id) errors.push('missing id');
+    if (!['guided', 'free', 'tick'].includes(question.mode)) errors.push('mode must be "guided", "free" or "tick"');
+    if (question.strategy !== undefined && !getStrategy(question.strategy)) errors.push(`unknown strategy "${question.strategy}"`);
+    if (question.mode !== 'tick' && (question.strategy || 'frequency') !== 'frequency') {
+        errors.push('only tick questions can use strategies other than frequency');
     }
-
-    // Fallback to first available voice
-    selectedVoice = voices[0];
-    if (selectedVoice) {
-        console.log('Fallback voice:', selectedVoice.name, selectedVoice.lang);
+    if (question.locale !== undefined && !/^[a-z]{2,3}(?:-[A-Z]{2})?$/.test(question.locale)) {
+        errors.push('locale must be a language code such as "fr" or "fr-FR"');
     }
-}
-
-function speakText(text, callback) {
-    if (isSpeaking) {
-        return;
+    if (!question.stem) errors.push('missing stem');
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+        errors.push('needs at least two options');
+        return errors;
+    }
+    if (!question.options.every(isPlainObject)) {
+        errors.push('each option must be an object');
+        return errors;
     }
 
-    // Cancel any ongoing speech
-    speechSynthesis.cancel();
+    const optionIds = question.options.map(option => option.id);
+    if (new Set(optionIds).size !== optionIds.length) errors.push('option ids must be unique');
+    if (!optionIds.includes(question.correct)) errors.push(`correct option "${question.correct}" does not exist`);
 
-    const utterance = new SpeechSynthesisUtterance(text);
+    question.options.forEach(option => {
+        if (!option.text) errors.push(`option ${option.id} has no text`);
+        if (option.tokens !== undefined && (!Array.isArray(option.tokens) || option.tokens.length === 0)) {
+            errors.push(`option ${option.id} has an empty token list`);
+        }
+    });
 
-    if (selectedVoice) {
-        utterance.voice = selectedVoice;
+    if (question.mode === 'guided') {
+        if (!Array.isArray(question.palette) || question.palette.some(entry => !isPlainObject(entry) || !entry.word)) {
+            errors.push('guided questions need a palette entry with a word for each colour');
+        }
+        if (!question.instructions) errors.push('missing instructions');
     }
 
-    utterance.rate = 0.9;
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-
-    isSpeaking = true;
+    return errors;
+}
 
-    utterance.onend = function() {
-        isSpeaking = false;
-        if (callback) callback();
-    };
+function normalizeQuestion(question) {
+    const strategy = getStrategy(question.strategy || 'frequency');
+    const instructions = question.instructions || t(question.mode === 'tick' ? 'question.tickInstructions' : 'question.freeInstructions');
+    const instructionsPrefix = t('question.instructionsPrefix');
+    const analysis = analyzeQuestion(question);
+    const strategyAnalysis = strategy.analyze(question);
+    const palette = (question.palette || DEFAULT_FREE_PALETTE)
+        .map(entry => typeof entry === 'string' ? { color: entry } : entry)
+        .map(entry => entry.word ? { ...entry, term: resolveTerm(analysis, entry.word) } : entry);
+
+    // The strategies are not foolproof, but authors should know when they disagree
+    if (strategy.id === 'frequency' && analysis.predicted !== question.correct) {
+        console.warn(`Question "${question.id}": the frequency strategy predicts ${analysis.predicted || 'a tie'}, not ${question.correct}`);
+    } else if (!strategyAnalysis.candidates.includes(question.correct)) {
+        console.warn(`Question "${question.id}": the ${getStrategyName(strategy.id).toLowerCase()} rules out ${question.correct}`);
+    }
 
-    utterance.onerror = function(event) {
-        // Ignore 'interrupted' error - this happens when speech is intentionally stopped
-        if (event.error !== 'interrupted') {
-            console.error('Speech error:', event);
+    return {
+        heading: t('question.defaultHeading'),
+        optionLabelStyle: 'dot',
+        explanation: strategy.id === 'frequency' ? describePrediction(analysis) : describeStrategyAnswer(strategyAnalysis),
+        ...question,
+        strategy: strategy.id,
+        instructions,
+        palette,
+        analysis,
+        strategyAnalysis,
+        prompts: {
+            stem: question.stem,
+            instructions: instructions.startsWith(instructionsPrefix) ? instructions.slice(instructionsPrefix.length).trim() : instructions,
+            ...question.prompts
         }
-        isSpeaking = false;
-        if (callback) callback();
     };
+}
 
-    speechSynthesis.speak(utterance);
+// ============================================
+// Frequency Analysis
+// ============================================
+
+// Words the analyzers look for, from the catalog of the current language (see 'analysis.*'
+// in locales.js). Built on first use, as the locale only changes with a reload.
+let analysisWords = null;
+
+function getAnalysisWords() {
+    if (analysisWords) return analysisWords;
+
+    const words = key => t(key).split(/\s+/).filter(Boolean);
+    // Whole words only; \b does not work with accented letters
+    const wordPattern = word => `(?<![\\p{L}'])${escapeRegExp(word).replace(/ /g, '\\s+')}(?![\\p{L}'])`;
+
+    analysisWords = {
+        // Separators between the items listed in an option ("Id, Ego, and Superego")
+        termSeparator: new RegExp(`((?:\\s*(?:,|;|\\/|&|${words('analysis.listWords').map(wordPattern).join('|')})\\s*)+)`, 'iu'),
+        // Elided articles such as the French "l'" are joined to the next word
+        leadingArticle: new RegExp(`^(?:${words('analysis.articles').map(article =>
+            /['’]$/.test(article) ? escapeRegExp(article) : `${escapeRegExp(article)}\\s+`).join('|')})`, 'u'),
+        absolute: words('analysis.absoluteWords'),
+        qualifier: words('analysis.qualifierWords'),
+        opposites: words('analysis.opposites').map(pair => pair.split('/')),
+        allOfTheAbove: new RegExp(t('analysis.allOfTheAbove').split('|').map(wordPattern).join('|'), 'iu')
+    };
+    return analysisWords;
 }
 
-function speakTextWithPromise(text) {
-    return new Promise((resolve) => {
-        speakText(text, resolve);
-    });
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// ============================================
-// Font Selector
-// ============================================
-function initializeFontSelector() {
-    const fontSelect = document.getElementById('font-select');
+// Normalize a term for counting: case, punctuation, spacing and leading articles
+function normalizeTerm(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}'\-\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(getAnalysisWords().leadingArticle, '');
+}
 
-    fontSelect.addEventListener('change', function() {
-        document.body.style.fontFamily = this.value;
-    });
+// Possible singular forms of a term's last word ("sea turtles" -> "sea turtle")
+function singularCandidates(term) {
+    const candidates = [];
+    if (term.endsWith('ies')) candidates.push(term.slice(0, -3) + 'y');
+    if (term.endsWith('es')) candidates.push(term.slice(0, -2));
+    if (term.endsWith('s') && !term.endsWith('ss')) candidates.push(term.slice(0, -1));
+    return candidates;
 }
 
-// ============================================
-// Font Color Swatches
-// ============================================
-function initializeFontColorSwatches() {
-    const fontSwatches = document.querySelectorAll('.font-swatch');
+// Split raw option text into plain and term segments, one term per listed item
+function tokenizeOptionText(text) {
+    const segments = [];
 
-    fontSwatches.forEach(swatch => {
-        swatch.addEventListener('click', function() {
-            // Remove active class from all font swatches
-            fontSwatches.forEach(s => s.classList.remove('active'));
+    text.split(getAnalysisWords().termSeparator).forEach((piece, i) => {
+        if (!piece) return;
 
-            // Add active class to clicked swatch
-            this.classList.add('active');
+        // Odd pieces are the captured separators
+        if (i % 2 === 1) {
+            segments.push({ text: piece });
+            return;
+        }
 
-            // Change font color
-            const color = this.dataset.color;
-            document.body.style.color = color;
-            document.documentElement.style.setProperty('--text-dark', color);
-        });
+        // Keep surrounding spaces, quotes and end punctuation out of the term
+        const [, before, core, after] = piece.match(/^([\s"'“‘(]*)(.*?)([\s"'”’).!?:]*)$/);
+        if (before) segments.push({ text: before });
+        if (core && normalizeTerm(core)) {
+            segments.push({ text: core, term: normalizeTerm(core) });
+        } else if (core) {
+            segments.push({ text: core });
+        }
+        if (after) segments.push({ text: after });
     });
+
+    return segments;
 }
 
-// ============================================
-// Background Color Swatches
-// ============================================
-function initializeBackgroundColorSwatches() {
-    const bgSwatches = document.querySelectorAll('.bg-swatch');
+// Split option text using the author's tokens, or tokenize it automatically
+function getOptionSegments(option) {
+    if (option.tokens) {
+        return splitOptionText(option.text, option.tokens)
+            .map(segment => segment.word ? { text: segment.text, term: normalizeTerm(segment.word) } : segment);
+    }
+    return tokenizeOptionText(option.text);
+}
 
-    bgSwatches.forEach(swatch => {
-        swatch.addEventListener('click', function() {
-            // Remove active class from all background swatches
-            bgSwatches.forEach(s => s.classList.remove('active'));
+// Count how often each term occurs across the options and predict the answer
+function analyzeQuestion(question) {
+    const options = question.options.map(option => ({
+        id: option.id,
+        segments: getOptionSegments(option)
+    }));
+
+    // Merge plurals into their singular form when both appear ("Dolphins" and "dolphin")
+    const allTerms = new Set();
+    options.forEach(option => option.segments.forEach(segment => {
+        if (segment.term) allTerms.add(segment.term);
+    }));
+    options.forEach(option => option.segments.forEach(segment => {
+        if (!segment.term) return;
+        const singular = singularCandidates(segment.term).find(candidate => allTerms.has(candidate));
+        if (singular) segment.term = singular;
+    }));
+
+    // Count occurrences of each term, remembering which options contain it
+    const termMap = {};
+    const terms = [];
+    options.forEach(option => option.segments.forEach(segment => {
+        if (!segment.term) return;
+        if (!termMap[segment.term]) {
+            termMap[segment.term] = { key: segment.term, label: segment.text, count: 0, optionIds: [] };
+            terms.push(termMap[segment.term]);
+        }
+        const entry = termMap[segment.term];
+        entry.count++;
+        if (!entry.optionIds.includes(option.id)) {
+            entry.optionIds.push(option.id);
+        }
+    }));
+
+    // Score each option by how often its repeated terms occur across all options
+    const scores = options.map(option => {
+        const optionTerms = [...new Set(option.segments.filter(s => s.term).map(s => s.term))];
+        const repeatedTerms = optionTerms.filter(term => termMap[term].optionIds.length > 1);
+        const score = repeatedTerms.reduce((sum, term) => sum + termMap[term].count, 0);
+        return { optionId: option.id, score, repeatedTerms: repeatedTerms.map(term => termMap[term].label) };
+    });
 
-            // Add active class to clicked swatch
-            this.classList.add('active');
+    const bestScore = Math.max(...scores.map(s => s.score));
+    const best = scores.filter(s => s.score === bestScore);
 
-            // Change background color
-            const color = this.dataset.color;
-            document.body.style.backgroundColor = color;
-            document.documentElement.style.setProperty('--bg-color', color);
-        });
-    });
+    return {
+        options,
+        // Most frequent first, keeping first-appearance order for equal counts
+        terms: terms.slice().sort((a, b) => b.count - a.count),
+        scores,
+        predicted: best.length === 1 && bestScore > 0 ? best[0].optionId : null,
+        tiedOptionIds: best.length > 1 && bestScore > 0 ? best.map(s => s.optionId) : []
+    };
 }
 
-// ============================================
-// Listen Buttons
-// ============================================
-function initializeListenButtons() {
-    const listenButtons = document.querySelectorAll('.listen-btn');
+// Find the term key a word belongs to in an analysis
+function resolveTerm(analysis, word) {
+    const key = normalizeTerm(word);
+    if (analysis.terms.some(t => t.key === key)) return key;
+    const singular = singularCandidates(key).find(candidate => analysis.terms.some(t => t.key === candidate));
+    return singular || key;
+}
 
-    listenButtons.forEach(btn => {
-        btn.addEventListener('click', function() {
-            if (this.disabled) return;
+// Narration for the explanation of a single term
+function describeTermCount(term, colorName) {
+    const params = { count: term.count, colour: colorName, term: term.label };
+    return t(term.count === 1 ? 'frequency.termCountOne' : 'frequency.termCountMany', params);
+}
 
-            const screenId = this.closest('.screen').id;
-            let textToRead = '';
-
-            switch(screenId) {
-                case 'screen1':
-                    textToRead = 'Multiple Choice Predicting Strategies. ' +
-                        'Educated predicting strategies are not a substitute for good study habits and test preparation. ' +
-                        'They are not foolproof and will not guarantee the correct answer. ' +
-                        'Predictive strategies, however, help when you are not completely sure of the answer, ' +
-                        'and will assist you to either narrow down the choices or to choose between two reasonably good answers. ' +
-                        'Using these strategies will assist to improve your test results.';
-                    break;
-                case 'screen2':
-                    textToRead = 'Strategy 1: Frequency of occurrence strategy. ' +
-                        'Look for items that appear in more than one of the multiple choices even if you may not know the answer.';
-                    break;
-                case 'screen3':
-                    textToRead = 'Let\'s have a look at how this strategy works. ' +
-                        'Listen to the question and follow the instructions to work out the answer.';
-                    break;
-            }
+// Final explanation of which option the strategy points to
+function describePrediction(analysis) {
+    if (!analysis.predicted) {
+        const tied = analysis.tiedOptionIds;
+        if (tied.length > 1) {
+            return t('frequency.tied', { options: formatList(tied) });
+        }
+        return t('frequency.noRepeats');
+    }
 
-            // Disable button during speech
-            this.disabled = true;
+    const score = analysis.scores.find(s => s.optionId === analysis.predicted);
+    const words = score.repeatedTerms;
+    const key = words.length === 1 ? 'frequency.predictionOne' : 'frequency.predictionMany';
+    return t(key, { option: analysis.predicted, words: formatList(words) });
+}
 
-            speakText(textToRead, () => {
-                this.disabled = false;
-            });
-        });
-    });
+// "a, b and c"
+function formatList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} ${t('list.and')} ${items[items.length - 1]}`;
 }
 
 // ============================================
-// Screen Navigation
+// Predicting Strategies
 // ============================================
-function goToScreen(screenNum) {
-    // Stop any ongoing speech when navigating
-    stopSpeech();
 
-    // Hide all screens
-    document.querySelectorAll('.screen').forEach(screen => {
-        screen.classList.remove('active');
-    });
+/*
+ * Each strategy contributes an intro, an animated demo and practice questions, and
+ * analyzes a question into spoken steps. Its name and intro are the 'strategy.<id>.name'
+ * and 'strategy.<id>.intro' messages.
+ * analyze(question) -> {
+ *     predicted: 'b' | null,             // option the strategy points to, if it can pick one
+ *     candidates: ['a', 'c'],            // options still in the running
+ *     steps: [{ text, optionIds, eliminate }]  // narration, options to flash, options to cross out
+ * }
+ * Strategy 1 uses the hand-built Screens 2 to 5 and the free question screens.
+ * The others get generated intro, demo and practice screens from their bank questions.
+ */
+const STRATEGIES = [
+    {
+        id: 'frequency',
+        firstScreen: 2,
+        analyze: analyzeFrequencyStrategy
+    },
+    {
+        id: 'longest',
+        demoQuestionId: 'longest-demo',
+        analyze: analyzeLongestStrategy
+    },
+    {
+        id: 'all-of-the-above',
+        demoQuestionId: 'all-of-the-above-demo',
+        analyze: analyzeAllOfTheAboveStrategy
+    },
+    {
+        id: 'opposites',
+        demoQuestionId: 'opposites-demo',
+        analyze: analyzeOppositesStrategy
+    },
+    {
+        id: 'absolute',
+        demoQuestionId: 'absolute-demo',
+        analyze: analyzeAbsoluteStrategy
+    },
+    {
+        id: 'grammar',
+        demoQuestionId: 'grammar-demo',
+        analyze: analyzeGrammarStrategy
+    }
+];
 
-    // Show target screen
-    const targetScreen = document.getElementById('screen' + screenNum);
-    if (targetScreen) {
-        targetScreen.classList.add('active');
-        currentScreen = screenNum;
 
-        // Reset Screen 6 when navigating to it
-        if (screenNum === 6) {
-            resetScreen6();
-        }
+function getStrategy(id) {
+    return STRATEGIES.find(strategy => strategy.id === id);
+}
 
-        // Reset Screen 7 when navigating to it
-        if (screenNum === 7) {
-            resetScreen7();
-        }
+function getStrategyName(id) {
+    return getStrategy(id) ? t(`strategy.${id}.name`) : id;
+}
 
-        // Scroll to top
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
+function getStrategyIntro(strategy) {
+    return t(`strategy.${strategy.id}.intro`);
 }
 
-// ============================================
-// Stop Speech
-// ============================================
-function stopSpeech() {
-    speechSynthesis.cancel();
-    isSpeaking = false;
+// "Strategy 2: Longest answer strategy"
+function getStrategyTitle(strategy) {
+    return t('strategy.title', { number: STRATEGIES.indexOf(strategy) + 1, name: getStrategyName(strategy.id) });
 }
 
-// ============================================
-// Screen 4 - Demo Animation
-// ============================================
-async function startDemo() {
-    const startBtn = document.getElementById('start-demo-btn');
-    const stopBtn = document.getElementById('stop-demo-btn');
+// Lowercase words of a piece of text
+function getWords(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
 
-    // Set demo state
-    demoRunning = true;
-    demoStopped = false;
+function analyzeFrequencyStrategy(question) {
+    const analysis = analyzeQuestion(question);
+    const candidates = analysis.predicted ? [analysis.predicted] : analysis.tiedOptionIds;
 
-    startBtn.disabled = true;
-    startBtn.textContent = 'Demo in progress...';
-    stopBtn.disabled = false;
+    const steps = analysis.terms
+        .filter(term => term.optionIds.length > 1)
+        .map(term => ({ text: t('frequency.appearsIn', { term: term.label, options: formatList(term.optionIds) }), optionIds: term.optionIds }));
+    steps.push({ text: describePrediction(analysis), optionIds: candidates });
 
-    // Clear any previous highlights (for replay)
-    const allWords = document.querySelectorAll('#demo-options .word');
-    allWords.forEach(word => {
-        word.style.backgroundColor = '';
-        word.classList.remove('highlighted', 'flash');
-    });
+    return { predicted: analysis.predicted, candidates, steps };
+}
 
-    // Clear previous result and uncheck answers
-    const resultDiv = document.getElementById('demo-result');
-    resultDiv.classList.add('hidden');
-    resultDiv.innerHTML = '';
-    document.querySelectorAll('input[name="demo-answer"]').forEach(cb => cb.checked = false);
+function analyzeLongestStrategy(question) {
+    const lengths = question.options.map(option => ({ id: option.id, count: getWords(option.text).length }));
+    const [longest, runnerUp] = lengths.slice().sort((a, b) => b.count - a.count);
 
-    // Show color picker
-    const colorPicker = document.getElementById('demo-color-picker');
-    colorPicker.classList.remove('hidden');
+    const steps = lengths.map(length => ({
+        text: t(length.count === 1 ? 'longest.wordCountOne' : 'longest.wordCountMany', { option: length.id, count: length.count }),
+        optionIds: [length.id]
+    }));
 
-    // Show cursor
-    const cursor = document.getElementById('demo-cursor');
-    cursor.classList.remove('hidden');
+    // Only count it as "much longer" when the gap is obvious
+    if (longest.count < runnerUp.count * 1.5 || longest.count - runnerUp.count < 3) {
+        steps.push({ text: t('longest.noHelp') });
+        return { predicted: null, candidates: lengths.map(length => length.id), steps };
+    }
 
-    // Color assignments (using new pastel colors)
-    const colorAssignments = [
-        { color: '#f5d3ed', word: 'Spanish', text: 'Let\'s choose the colour pink for Spanish' },
-        { color: '#dcf5d3', word: 'Greek', text: 'Let\'s choose the colour green for Greek' },
-        { color: '#f6f7b9', word: 'English', text: 'Let\'s choose the colour yellow for English' },
-        { color: '#cee6ff', word: 'Chinese', text: 'Let\'s choose the colour blue for Chinese' },
-        { color: '#9abecc', word: 'Dutch', text: 'Let\'s choose the colour teal for Dutch' },
-        { color: '#f9a2a2', word: 'Italian', text: 'Let\'s choose the colour red for Italian' }
-    ];
+    steps.push({
+        text: t('longest.answer', { option: longest.id }),
+        optionIds: [longest.id],
+        eliminate: lengths.filter(length => length !== longest).map(length => length.id)
+    });
+    return { predicted: longest.id, candidates: [longest.id], steps };
+}
 
-    // Process each color assignment
-    for (const assignment of colorAssignments) {
-        if (demoStopped) break;
-        await animateColorSelection(assignment.color, assignment.word, assignment.text);
-        if (demoStopped) break;
-        await delay(500);
+function analyzeAllOfTheAboveStrategy(question) {
+    const allOption = question.options.find(option => getAnalysisWords().allOfTheAbove.test(option.text));
+    if (!allOption) {
+        return {
+            predicted: null,
+            candidates: question.options.map(option => option.id),
+            steps: [{ text: t('allOfTheAbove.noHelp') }]
+        };
     }
 
-    if (demoStopped) {
-        endDemo();
-        return;
+    const otherIds = question.options.filter(option => option !== allOption).map(option => option.id);
+    return {
+        predicted: allOption.id,
+        candidates: [allOption.id],
+        steps: [
+            { text: t('allOfTheAbove.says', { option: allOption.id, text: allOption.text }), optionIds: [allOption.id] },
+            { text: t('allOfTheAbove.othersLookRight', { options: formatList(otherIds) }), optionIds: otherIds },
+            { text: t('allOfTheAbove.rule'), optionIds: [allOption.id] }
+        ]
+    };
+}
+
+function analyzeOppositesStrategy(question) {
+    const options = question.options.map(option => ({ id: option.id, words: getWords(option.text) }));
+
+    for (let i = 0; i < options.length; i++) {
+        for (let j = i + 1; j < options.length; j++) {
+            const pair = getAnalysisWords().opposites.find(([first, second]) =>
+                (options[i].words.includes(first) && options[j].words.includes(second)) ||
+                (options[i].words.includes(second) && options[j].words.includes(first)));
+            if (!pair) continue;
+
+            const pairIds = [options[i].id, options[j].id];
+            const otherIds = options.filter(option => !pairIds.includes(option.id)).map(option => option.id);
+            return {
+                predicted: null,
+                candidates: pairIds,
+                steps: [
+                    { text: t('opposites.pair', { options: formatList(pairIds), first: pair[0], second: pair[1] }), optionIds: pairIds },
+                    { text: t('opposites.crossOut'), eliminate: otherIds },
+                    { text: t('strategy.chooseBetween', { options: formatList(pairIds) }), optionIds: pairIds }
+                ]
+            };
+        }
     }
 
-    // Hide cursor
-    cursor.classList.add('hidden');
+    return {
+        predicted: null,
+        candidates: options.map(option => option.id),
+        steps: [{ text: t('opposites.noHelp') }]
+    };
+}
 
-    // Show frequency explanation
-    resultDiv.classList.remove('hidden');
-    resultDiv.innerHTML = '<p>The frequency of occurrence strategy is when the answer appears in more than one of the answers.</p>';
+function analyzeAbsoluteStrategy(question) {
+    const steps = [];
+    const remaining = [];
+
+    question.options.forEach(option => {
+        const absolutes = getWords(option.text).filter(word => getAnalysisWords().absolute.includes(word));
+        if (absolutes.length > 0) {
+            const quoted = absolutes.map(word => `"${word}"`);
+            steps.push({
+                text: t(absolutes.length === 1 ? 'absolute.crossOutOne' : 'absolute.crossOutMany', { option: option.id, words: formatList(quoted) }),
+                optionIds: [option.id],
+                eliminate: [option.id]
+            });
+        } else {
+            remaining.push(option);
+        }
+    });
 
-    if (!demoStopped) {
-        await speakTextWithPromise('The frequency of occurrence strategy is when the answer appears in more than one of the answers.');
+    const remainingIds = remaining.map(option => option.id);
+    if (steps.length === 0 || remaining.length === 0) {
+        return {
+            predicted: null,
+            candidates: question.options.map(option => option.id),
+            steps: [{ text: t('absolute.noHelp') }]
+        };
     }
-    if (demoStopped) { endDemo(); return; }
-    await delay(500);
 
-    // Highlight Spanish occurrences (appears in options a and b)
-    if (!demoStopped) {
-        const spanishWords = document.querySelectorAll('#demo-options .word[data-word="Spanish"]');
-        spanishWords.forEach(word => {
-            word.classList.add('flash');
-            setTimeout(() => word.classList.remove('flash'), 1000);
-        });
+    if (remaining.length === 1) {
+        steps.push({ text: t('strategy.thatLeaves', { option: remaining[0].id }), optionIds: remainingIds });
+        return { predicted: remaining[0].id, candidates: remainingIds, steps };
     }
 
-    if (demoStopped) { endDemo(); return; }
-    await delay(1200);
+    // Prefer a single remaining answer that uses a softer word
+    const qualified = remaining.filter(option => getWords(option.text).some(word => getAnalysisWords().qualifier.includes(word)));
+    if (qualified.length === 1) {
+        const softWord = getWords(qualified[0].text).find(word => getAnalysisWords().qualifier.includes(word));
+        steps.push({ text: t('absolute.softer', { option: qualified[0].id, word: softWord }), optionIds: [qualified[0].id] });
+        return { predicted: qualified[0].id, candidates: remainingIds, steps };
+    }
 
-    // Highlight English occurrences (appears in options b and d)
-    if (!demoStopped) {
-        const englishWords = document.querySelectorAll('#demo-options .word[data-word="English"]');
-        englishWords.forEach(word => {
-            word.classList.add('flash');
-            setTimeout(() => word.classList.remove('flash'), 1000);
+    steps.push({ text: t('strategy.chooseBetween', { options: formatList(remainingIds) }), optionIds: remainingIds });
+    return { predicted: null, candidates: remainingIds, steps };
+}
+
+function analyzeGrammarStrategy(question) {
+    const lastWord = getWords(question.stem).pop();
+    let rule = null;
+
+    if (lastWord === 'a' || lastWord === 'an') {
+        const needsVowel = lastWord === 'an';
+        rule = {
+            text: t(needsVowel ? 'grammar.needsVowel' : 'grammar.needsConsonant', { word: lastWord }),
+            fits: option => startsWithVowelSound(option.text) === needsVowel,
+            misfit: needsVowel ? 'grammar.notVowel' : 'grammar.notConsonant'
+        };
+    } else if (['is', 'was', 'are', 'were'].includes(lastWord)) {
+        const needsPlural = lastWord === 'are' || lastWord === 'were';
+        rule = {
+            text: t(needsPlural ? 'grammar.needsPlural' : 'grammar.needsSingular', { word: lastWord }),
+            fits: option => isPluralAnswer(option.text) === needsPlural,
+            misfit: needsPlural ? 'grammar.notPlural' : 'grammar.notSingular'
+        };
+    }
+
+    if (!rule) {
+        return {
+            predicted: null,
+            candidates: question.options.map(option => option.id),
+            steps: [{ text: t('grammar.noRule') }]
+        };
+    }
+
+    const steps = [{ text: rule.text }];
+    const remaining = [];
+    question.options.forEach(option => {
+        if (rule.fits(option)) {
+            remaining.push(option.id);
+        } else {
+            steps.push({ text: t(rule.misfit, { option: option.id }), optionIds: [option.id], eliminate: [option.id] });
+        }
+    });
+
+    if (remaining.length === 1) {
+        steps.push({ text: t('strategy.thatLeaves', { option: remaining[0] }), optionIds: remaining });
+        return { predicted: remaining[0], candidates: remaining, steps };
+    }
+    if (remaining.length === 0 || remaining.length === question.options.length) {
+        steps.push({ text: t('grammar.noHelp') });
+        return { predicted: null, candidates: question.options.map(option => option.id), steps };
+    }
+
+    steps.push({ text: t('strategy.chooseBetween', { options: formatList(remaining) }), optionIds: remaining });
+    return { predicted: null, candidates: remaining, steps };
+}
+
+// Closing line for strategies that pick an answer on their own
+function describeStrategyAnswer(strategyAnalysis) {
+    return strategyAnalysis.predicted ? t('strategy.answer', { option: strategyAnalysis.predicted }) : null;
+}
+
+// Rough check of the sound an answer starts with ("an hour", "a unicorn")
+function startsWithVowelSound(text) {
+    const word = getWords(text)[0] || '';
+    if (/^(?:hour|honest|honou?r|heir)/.test(word)) return true;
+    if (/^(?:uni|use|usu|eu|one|once)/.test(word)) return false;
+    return /^[aeiou]/.test(word);
+}
+
+// Lists ("bats and whales") and words ending in s count as plural
+function isPluralAnswer(text) {
+    if (/\band\b|,/.test(text)) return true;
+    const lastWord = getWords(text).pop() || '';
+    return /s$/.test(lastWord) && !/(?:ss|us|is)$/.test(lastWord);
+}
+
+// ============================================
+// Initialization
+// ============================================
+document.addEventListener('DOMContentLoaded', function() {
+    initializeApp();
+});
+
+function initializeApp() {
+    // Pick the language before any text is built, then translate the page
+    loadLocale();
+    applyTranslations(document);
+
+    // Restore the saved preferences before anything reads them
+    loadPreferences();
+
+    // Initialize voice
+    initializeVoice();
+
+    // Initialize font selector and check the bundled and tutor-added fonts
+    initializeFontSelector();
+    initializeFontManager();
+
+    // Initialize font color swatches
+    initializeFontColorSwatches();
+
+    // Initialize background color swatches
+    initializeBackgroundColorSwatches();
+
+    // Initialize the reading theme selector and the pattern and shape markers for highlight colours
+    initializeThemeSelector();
+    initializeColorMarkerSelector();
+
+    // Initialize listen buttons
+    initializeListenButtons();
+
+    // Initialize the demo (Screen 4) and practice color picker (Screen 5)
+    initializeDemo();
+    initializePracticeColorPicker();
+
+    // Build the question and strategy screens (Screen 6 onwards) from the bank
+    initializeLessonScreens();
+
+    // Initialize the practice test settings
+    initializeTestMode();
+
+    // Initialize Ctrl+Z / Ctrl+Y for colour coding
+    initializeUndoShortcuts();
+
+    // Initialize colour coding keys and switch scanning
+    initializeKeyboardAccess();
+
+    // Initialize the tutor question editor
+    initializeQuestionEditor();
+    initializeThemeEditor();
+
+    // Initialize the student profile and language selectors
+    initializeProfileSelector();
+    initializeLocaleSelector();
+
+    // Initialize the text size and spacing panel and the reading ruler
+    initializeTextSettings();
+    initializeReadingRuler();
+
+    // Initialize the speech settings panel and pause/skip controls
+    initializeSpeechSettings();
+    initializeSpeechControls();
+
+    // Apply the saved font and colours (dark blue on light blue by default)
+    applyPreferences();
+}
+
+// ============================================
+// Localization
+// ============================================
+
+// Language used until one is picked in the Language menu. Change it to deploy in another region.
+const DEFAULT_LOCALE = 'en-AU';
+const LOCALE_KEY = 'dyslexiaAid.locale';
+
+function loadLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    currentLocale = LOCALES[saved] ? saved : DEFAULT_LOCALE;
+    document.documentElement.lang = currentLocale;
+}
+
+// Every screen is built in the current language, so start again in the new one
+function setLocale(locale) {
+    localStorage.setItem(LOCALE_KEY, locale);
+    window.location.reload();
+}
+
+// Message from the current catalog with {name} placeholders filled in from params,
+// falling back through the catalog's fallback locales
+function t(key, params = {}) {
+    for (let locale = currentLocale; locale; locale = LOCALES[locale].fallback) {
+        const message = LOCALES[locale].messages[key];
+        if (message !== undefined) {
+            return message.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? String(params[name]) : placeholder);
+        }
+    }
+    console.warn(`Missing message "${key}"`);
+    return key;
+}
+
+// "fr-FR" -> "fr"
+function getLanguage(locale) {
+    return locale.replace('_', '-').split('-')[0].toLowerCase();
+}
+
+// Fill in elements marked with data-i18n (text), data-i18n-aria-label, data-i18n-title and data-i18n-alt
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    ['aria-label', 'title', 'alt'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
         });
+    });
+    if (root === document) {
+        document.title = t('app.title');
+    }
+}
+
+function initializeLocaleSelector() {
+    const localeSelect = document.getElementById('locale-select');
+
+    Object.entries(LOCALES).forEach(([locale, { name }]) => {
+        const option = createElement('option', null, name);
+        option.value = locale;
+        option.lang = locale;
+        localeSelect.appendChild(option);
+    });
+    localeSelect.value = currentLocale;
+
+    localeSelect.addEventListener('change', function() {
+        setLocale(this.value);
+    });
+}
+
+// ============================================
+// Voice / Speech Synthesis
+// ============================================
+function initializeVoice() {
+    // Other speech engines take over without Web Speech
+    if (!speechSynthesis) return;
+
+    // Wait for voices to load
+    if (speechSynthesis.onvoiceschanged !== undefined) {
+        speechSynthesis.onvoiceschanged = loadVoices;
+    }
+    // Also try immediately in case voices are already loaded
+    setTimeout(loadVoices, 100);
+}
+
+function loadVoices() {
+    selectVoice();
+    renderVoiceOptions();
+}
+
+// Pick the voice for the current language, preferring the one saved in the student's profile
+function selectVoice() {
+    const voices = speechSynthesis ? speechSynthesis.getVoices() : [];
+    const priorityChecks = getVoiceChecks();
+
+    // A voice the student picked before wins when this device still has it
+    if (preferences.voice) {
+        priorityChecks.unshift(v => v.name === preferences.voice);
+    }
+
+    for (const check of priorityChecks) {
+        const voice = voices.find(check);
+        if (voice) {
+            selectedVoice = voice;
+            return;
+        }
+    }
+
+    // Fallback to first available voice
+    selectedVoice = voices[0];
+}
+
+// Voice checks in order of preference for the current locale
+function getVoiceChecks() {
+    if (currentLocale !== 'en-AU') {
+        const language = getLanguage(currentLocale);
+        return [
+            v => v.lang.replace('_', '-') === currentLocale,
+            v => v.name.includes(currentLocale),
+            v => getLanguage(v.lang) === language
+        ];
+    }
+
+    // Priority list for Australian female voices, with British as fallback
+    return [
+        // Microsoft Windows Australian female voices (Natural/Online voices)
+        v => v.name.toLowerCase().includes('natasha') && v.name.toLowerCase().includes('australia'),
+        v => v.name.toLowerCase().includes('natasha'),
+        // Microsoft Catherine (older Australian voice)
+        v => v.name.toLowerCase().includes('catherine') && v.name.toLowerCase().includes('australia'),
+        // Any voice with en-AU language code
+        v => v.lang === 'en-AU',
+        // Any voice mentioning Australia
+        v => v.name.toLowerCase().includes('australia'),
+        // Google/Cloud voices
+        v => v.name.includes('en-AU'),
+        // British female voices as fallback (closer to Australian accent)
+        v => v.name.toLowerCase().includes('hazel') && v.lang === 'en-GB',
+        v => v.name.toLowerCase().includes('libby'),
+        v => v.name.toLowerCase().includes('sonia'),
+        v => v.lang === 'en-GB',
+        // US female voices as last resort
+        v => v.name.toLowerCase().includes('zira'),
+        v => v.name.toLowerCase().includes('samantha'),
+        v => v.lang === 'en-US',
+        v => v.lang.startsWith('en')
+    ];
+}
+
+// Queue text to be read out, calling callback once it has been spoken (or skipped)
+function speakText(text, callback) {
+    speak(text).then(() => {
+        if (callback) callback();
+    });
+}
+
+// promptId names a recorded audio clip to play instead, when one is available
+function speakTextWithPromise(text, promptId) {
+    return speak(text, { promptId });
+}
+
+// ============================================
+// Speech Queue
+// ============================================
+
+/*
+ * speak(text, { priority, interrupt, onWord, promptId }) queues text and returns a promise that
+ * resolves with how the request finished: 'ended', 'skipped' or 'cancelled'.
+ * - priority 'high' goes ahead of waiting 'normal' requests (feedback messages)
+ * - interrupt clears the queue and cuts off the current request
+ * - onWord(charIndex) is called as each word starts, for karaoke highlighting
+ * - promptId picks a recorded clip from AUDIO_CLIPS (see Speech Engines)
+ * Asking for text that is already playing or waiting returns the existing request,
+ * so quick repeated clicks do not pile up.
+ */
+function speak(text, options = {}) {
+    const existing = [currentSpeech, ...speechQueue].find(request => request && request.text === text);
+    if (existing && !options.interrupt) {
+        return existing.promise;
+    }
+
+    const request = {
+        text,
+        priority: options.priority || 'normal',
+        onWord: options.onWord,
+        promptId: options.promptId,
+        finished: false,
+        playback: null // { cancel, pause, resume } from the speech engine playing it
+    };
+    request.promise = new Promise(resolve => {
+        request.resolve = resolve;
+    });
+
+    if (options.interrupt) {
+        clearSpeechQueue();
+        speechQueue.push(request);
+        finishCurrentSpeech('cancelled');
+    } else if (request.priority === 'high') {
+        const index = speechQueue.findIndex(waiting => waiting.priority !== 'high');
+        speechQueue.splice(index === -1 ? speechQueue.length : index, 0, request);
+    } else {
+        speechQueue.push(request);
+    }
+
+    playNextSpeech();
+    return request.promise;
+}
+
+function playNextSpeech() {
+    if (currentSpeech || speechPaused || speechQueue.length === 0) return;
+
+    const request = speechQueue.shift();
+    currentSpeech = request;
+
+    emitSpeechEvent('start', request);
+    playWithEngines(request, SPEECH_ENGINES.filter(engine => engine.isAvailable(request)));
+}
+
+// Play with the first engine, falling back to the next one if it fails
+function playWithEngines(request, engines) {
+    const [engine, ...fallbacks] = engines;
+
+    request.playback = engine.speak(request, {
+        onWord: request.onWord || (() => {}),
+        onEnd: () => finishSpeech(request, 'ended'),
+        onError: error => {
+            if (request.finished) return;
+            console.warn(`${engine.name} could not speak "${request.text}", trying the next speech engine:`, error);
+            playWithEngines(request, fallbacks);
+        }
+    });
+}
+
+function finishSpeech(request, reason) {
+    // Cancelled requests can still get a late end event from the browser
+    if (request.finished) return;
+    request.finished = true;
+
+    if (currentSpeech === request) currentSpeech = null;
+
+    request.resolve(reason);
+    emitSpeechEvent('end', request);
+
+    if (!currentSpeech && speechQueue.length === 0) {
+        emitSpeechEvent('idle');
+    }
+    playNextSpeech();
+}
+
+// Cut off the request being spoken, moving on to the next one
+function finishCurrentSpeech(reason) {
+    if (!currentSpeech) return;
+
+    const request = currentSpeech;
+    request.playback.cancel();
+    finishSpeech(request, reason);
+}
+
+function clearSpeechQueue() {
+    const waiting = speechQueue;
+    speechQueue = [];
+    waiting.forEach(request => {
+        request.finished = true;
+        request.resolve('cancelled');
+    });
+}
+
+function pauseSpeech() {
+    if (!currentSpeech || speechPaused) return;
+
+    speechPaused = true;
+    currentSpeech.playback.pause();
+    emitSpeechEvent('pause', currentSpeech);
+}
+
+function resumeSpeech() {
+    if (!speechPaused) return;
+
+    speechPaused = false;
+    if (currentSpeech) currentSpeech.playback.resume();
+    emitSpeechEvent('resume', currentSpeech);
+    playNextSpeech();
+}
+
+// Skip to the next request in the queue
+function skipSpeech() {
+    resumeSpeech();
+    finishCurrentSpeech('skipped');
+}
+
+function isSpeechBusy() {
+    return currentSpeech !== null || speechQueue.length > 0;
+}
+
+function emitSpeechEvent(type, request) {
+    speechEvents.dispatchEvent(new CustomEvent(type, { detail: request ? { text: request.text } : {} }));
+}
+
+// Pause, resume, skip and stop buttons, shown while anything is being read out
+function initializeSpeechControls() {
+    const controls = document.getElementById('speech-controls');
+    const pauseBtn = document.getElementById('speech-pause-btn');
+
+    const update = () => {
+        controls.classList.toggle('hidden', !isSpeechBusy());
+        pauseBtn.textContent = t(speechPaused ? 'speechControls.resume' : 'speechControls.pause');
+        pauseBtn.setAttribute('aria-pressed', String(speechPaused));
+    };
+    ['start', 'end', 'pause', 'resume', 'idle'].forEach(type => speechEvents.addEventListener(type, update));
+
+    pauseBtn.addEventListener('click', () => {
+        if (speechPaused) {
+            resumeSpeech();
+        } else {
+            pauseSpeech();
+        }
+    });
+    document.getElementById('speech-skip-btn').addEventListener('click', skipSpeech);
+    document.getElementById('speech-stop-btn').addEventListener('click', stopSpeech);
+}
+
+// ============================================
+// Speech Engines
+// ============================================
+
+/*
+ * Recorded clips played instead of synthesized speech, keyed by locale and prompt id.
+ * Add an entry and the audio file to ship a fixed prompt as a recording, e.g.
+ *     'en-AU': { 'demo-spanish': 'audio/en-AU/demo-spanish.mp3' }
+ * Screen 4 demo prompt ids: demo-spanish, demo-greek, demo-english, demo-chinese,
+ * demo-dutch, demo-italian, demo-strategy, demo-answer.
+ */
+const AUDIO_CLIPS = {};
+
+// Clip recorded in the current locale's accent for a prompt, if there is one
+function getAudioClip(promptId) {
+    const clips = AUDIO_CLIPS[currentLocale] || {};
+    return promptId ? clips[promptId] : undefined;
+}
+
+// Local text-to-speech server for machines without installed voices, e.g.
+// 'http://localhost:5002/api/tts'. It is sent ?text=...&rate=... and must return audio.
+const LOCAL_TTS_URL = '';
+
+/*
+ * Speech engines, tried in order for each request until one is available and works:
+ * {
+ *     name: 'Web Speech',
+ *     isAvailable(request) -> true if the engine can read this request,
+ *     speak(request, { onWord, onEnd, onError }) -> playback { cancel, pause, resume }
+ * }
+ * onError moves on to the next engine; the text-only engine always works.
+ */
+const SPEECH_ENGINES = [
+    {
+        name: 'Recorded audio',
+        isAvailable: request => Boolean(getAudioClip(request.promptId)) && !failedAudioClips.has(request.promptId),
+        speak(request, handlers) {
+            return playAudio(getAudioClip(request.promptId), request, {
+                ...handlers,
+                onError: error => {
+                    // Do not try a missing clip again
+                    failedAudioClips.add(request.promptId);
+                    handlers.onError(error);
+                }
+            });
+        }
+    },
+    {
+        name: 'Web Speech',
+        // Tried even with no voices listed: Chrome lists them late and some browsers never do.
+        // Without a working voice the utterance fails and the next engine takes over.
+        isAvailable: () => Boolean(speechSynthesis),
+        speak: speakWithWebSpeech
+    },
+    {
+        name: 'Local speech server',
+        isAvailable: () => Boolean(LOCAL_TTS_URL),
+        speak(request, handlers) {
+            const url = `${LOCAL_TTS_URL}?text=${encodeURIComponent(request.text)}&rate=${preferences.speechRate}`;
+            return playAudio(url, request, handlers);
+        }
+    },
+    {
+        name: 'Text only',
+        isAvailable: () => true,
+        speak: showTextWithoutSpeech
+    }
+];
+
+function speakWithWebSpeech(request, { onWord, onEnd, onError }) {
+    const utterance = new SpeechSynthesisUtterance(request.text);
+
+    if (selectedVoice) {
+        utterance.voice = selectedVoice;
+    }
+
+    utterance.rate = preferences.speechRate;
+    utterance.pitch = preferences.speechPitch;
+    utterance.volume = 1.0;
+
+    const stopTracking = trackSpokenWords(utterance, onWord);
+
+    utterance.onend = function() {
+        stopTracking();
+        onEnd();
+    };
+
+    utterance.onerror = function(event) {
+        stopTracking();
+        // Speech stopped on purpose still counts as finished
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+            onEnd();
+        } else {
+            onError(event.error);
+        }
+    };
+
+    speechSynthesis.speak(utterance);
+
+    return {
+        cancel: () => {
+            stopTracking();
+            speechSynthesis.cancel();
+        },
+        pause: () => speechSynthesis.pause(),
+        resume: () => speechSynthesis.resume()
+    };
+}
+
+// Play an audio file, following the spoken word by how far through the audio it is
+function playAudio(src, request, { onWord, onEnd, onError }) {
+    const audio = new Audio(src);
+
+    // Recordings are made at normal speed, which matches the default speech rate
+    audio.playbackRate = preferences.speechRate / DEFAULT_PREFERENCES.speechRate;
+
+    audio.ontimeupdate = () => {
+        if (audio.duration) {
+            onWord(Math.floor(request.text.length * audio.currentTime / audio.duration));
+        }
+    };
+    // A broken file fires onerror and also rejects play(), but should only fall back once
+    let failed = false;
+    const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        audio.onended = null;
+        audio.ontimeupdate = null;
+        onError(error);
+    };
+
+    audio.onended = onEnd;
+    audio.onerror = () => fail(audio.error);
+    audio.play().catch(fail);
+
+    return {
+        cancel: () => {
+            failed = true;
+            audio.onerror = null;
+            audio.onended = null;
+            audio.pause();
+        },
+        pause: () => audio.pause(),
+        resume: () => audio.play().catch(fail)
+    };
+}
+
+// Last resort when nothing can speak: keep the karaoke highlighting and timing of speech
+function showTextWithoutSpeech(request, { onWord, onEnd }) {
+    if (!textOnlyWarningShown) {
+        console.warn('No speech engine is available, so text will be highlighted without being read out.');
+        textOnlyWarningShown = true;
+    }
+
+    const rate = preferences.speechRate;
+    let remaining = request.text.length * ESTIMATED_MS_PER_CHARACTER / rate;
+
+    onWord(0);
+    const estimateTimer = estimateSpokenWords(onWord, rate);
+    const endTimer = setInterval(() => {
+        if (speechPaused) return;
+        remaining -= 100;
+        if (remaining <= 0) {
+            clearInterval(estimateTimer);
+            clearInterval(endTimer);
+            onEnd();
+        }
+    }, 100);
+
+    const stop = () => {
+        clearInterval(estimateTimer);
+        clearInterval(endTimer);
+    };
+    return { cancel: stop, pause: () => {}, resume: () => {} };
+}
+
+// ============================================
+// Speech Settings Panel
+// ============================================
+
+function initializeSpeechSettings() {
+    document.getElementById('voice-select').addEventListener('change', function() {
+        setPreference('voice', this.value || null);
+        selectVoice();
+    });
+
+    document.getElementById('rate-slider').addEventListener('input', function() {
+        setPreference('speechRate', parseFloat(this.value));
+        syncSpeechSettings();
+    });
+
+    document.getElementById('pitch-slider').addEventListener('input', function() {
+        setPreference('speechPitch', parseFloat(this.value));
+        syncSpeechSettings();
+    });
+
+    // Close the panel when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.speech-control')) {
+            toggleSpeechPanel(false);
+        }
+    });
+}
+
+function toggleSpeechPanel(open) {
+    const panel = document.getElementById('speech-panel');
+    const shouldOpen = open === undefined ? panel.classList.contains('hidden') : open;
+
+    panel.classList.toggle('hidden', !shouldOpen);
+    document.getElementById('speech-settings-btn').setAttribute('aria-expanded', String(shouldOpen));
+}
+
+// Show the active profile's speech preferences in the panel
+function syncSpeechSettings() {
+    document.getElementById('rate-slider').value = preferences.speechRate;
+    document.getElementById('rate-value').textContent = `${preferences.speechRate.toFixed(2)}x`;
+    document.getElementById('pitch-slider').value = preferences.speechPitch;
+    document.getElementById('pitch-value').textContent = preferences.speechPitch.toFixed(1);
+    document.getElementById('voice-select').value = preferences.voice || '';
+}
+
+// List the available voices grouped by language, e.g. "English (Australia)"
+function renderVoiceOptions() {
+    const voiceSelect = document.getElementById('voice-select');
+    const voices = speechSynthesis ? speechSynthesis.getVoices() : [];
+    voiceSelect.innerHTML = '';
+
+    const automatic = createElement('option', null, t('speech.automaticVoice'));
+    automatic.value = '';
+    voiceSelect.appendChild(automatic);
+
+    const groups = {};
+    voices.forEach(voice => {
+        const language = describeLanguage(voice.lang);
+        if (!groups[language]) groups[language] = [];
+        groups[language].push(voice);
+    });
+
+    Object.keys(groups).sort((a, b) => a.localeCompare(b)).forEach(language => {
+        const group = document.createElement('optgroup');
+        group.label = language;
+        groups[language].forEach(voice => {
+            const option = createElement('option', null, voice.name);
+            option.value = voice.name;
+            group.appendChild(option);
+        });
+        voiceSelect.appendChild(group);
+    });
+
+    // Keep a saved voice this device does not have so it is not lost from the profile
+    if (preferences.voice && !voices.some(voice => voice.name === preferences.voice)) {
+        const missing = createElement('option', null, t('speech.voiceMissing', { voice: preferences.voice }));
+        missing.value = preferences.voice;
+        voiceSelect.appendChild(missing);
+    }
+
+    voiceSelect.value = preferences.voice || '';
+}
+
+function describeLanguage(lang) {
+    try {
+        const [language, region] = lang.replace('_', '-').split('-');
+        const names = new Intl.DisplayNames([currentLocale], { type: 'language' });
+        const regions = new Intl.DisplayNames([currentLocale], { type: 'region' });
+        return region ? `${names.of(language)} (${regions.of(region.toUpperCase())})` : names.of(language);
+    } catch (error) {
+        return lang || t('speech.otherLanguage');
+    }
+}
+
+function previewSpeech() {
+    speak(t('speech.previewText'), { interrupt: true });
+}
+
+// ============================================
+// Karaoke Read-Aloud
+// ============================================
+
+// Rough speaking speed at rate 1, used when the voice fires no boundary events
+const ESTIMATED_MS_PER_CHARACTER = 65;
+// How long to wait for a boundary event before estimating instead
+const BOUNDARY_WAIT_MS = 600;
+
+// Read the text of elements aloud, lighting up each word as it is spoken
+function speakWithHighlight(elements, callback) {
+    const { text, words } = prepareKaraokeText(elements);
+
+    speak(text, { onWord: charIndex => highlightKaraokeWord(words, charIndex) }).then(() => {
+        words.forEach(word => word.element.classList.remove('speaking'));
+        if (callback) callback();
+    });
+}
+
+// Wrap each word of the elements in a span (once) and return the text to speak with the
+// { start, end, element } of each word. Each element is read as its own sentence so
+// headings get a pause after them.
+function prepareKaraokeText(elements) {
+    let text = '';
+    const words = [];
+
+    elements.forEach(element => {
+        if (!element.dataset.karaoke) {
+            wrapKaraokeWords(element);
+            element.dataset.karaoke = 'ready';
+        }
+
+        element.querySelectorAll('.karaoke-word').forEach(wordEl => {
+            if (text) text += ' ';
+            words.push({ start: text.length, end: text.length + wordEl.textContent.length, element: wordEl });
+            text += wordEl.textContent;
+        });
+
+        if (text && !/[.!?:]$/.test(text)) {
+            text += '.';
+        }
+    });
+
+    return { text, words };
+}
+
+function wrapKaraokeWords(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const fragment = document.createDocumentFragment();
+        node.textContent.split(/(\s+)/).forEach(part => {
+            if (part === '') return;
+            if (/^\s+$/.test(part)) {
+                fragment.appendChild(document.createTextNode(part));
+            } else {
+                fragment.appendChild(createElement('span', 'karaoke-word', part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+// Follow boundary events, falling back to a timing estimate when the voice sends none.
+// Returns a function that stops tracking.
+function trackSpokenWords(utterance, onWord) {
+    let boundariesFired = false;
+    let stopped = false;
+    let waitTimer = null;
+    let estimateTimer = null;
+
+    utterance.onboundary = function(event) {
+        if (event.name && event.name !== 'word') return;
+        boundariesFired = true;
+        clearTimeout(waitTimer);
+        clearInterval(estimateTimer);
+        onWord(event.charIndex);
+    };
+
+    utterance.onstart = function() {
+        // Some browsers still start an utterance that was cancelled while queued
+        if (stopped) return;
+        onWord(0);
+
+        waitTimer = setTimeout(() => {
+            if (boundariesFired || stopped) return;
+            estimateTimer = estimateSpokenWords(onWord, utterance.rate, BOUNDARY_WAIT_MS);
+        }, BOUNDARY_WAIT_MS);
+    };
+
+    return () => {
+        stopped = true;
+        clearTimeout(waitTimer);
+        clearInterval(estimateTimer);
+    };
+}
+
+// Report the estimated spoken position every 100ms from elapsed ms onwards. Returns the interval.
+function estimateSpokenWords(onWord, rate, elapsed = 0) {
+    const msPerCharacter = ESTIMATED_MS_PER_CHARACTER / rate;
+    return setInterval(() => {
+        // The estimate stands still while speech is paused
+        if (speechPaused) return;
+        elapsed += 100;
+        onWord(Math.floor(elapsed / msPerCharacter));
+    }, 100);
+}
+
+function highlightKaraokeWord(words, charIndex) {
+    // The word containing charIndex, or the last one starting before it
+    const word = words.filter(w => w.start <= charIndex).pop();
+    if (!word || word.element.classList.contains('speaking')) return;
+
+    words.forEach(w => w.element.classList.remove('speaking'));
+    word.element.classList.add('speaking');
+    followWithReadingRuler(word.element);
+}
+
+// ============================================
+// Font Selector
+// ============================================
+function initializeFontSelector() {
+    const fontSelect = document.getElementById('font-select');
+
+    fontSelect.addEventListener('change', function() {
+        applyFont(this.value);
+        setPreference('font', this.value);
+    });
+}
+
+function applyFont(font) {
+    const fontSelect = document.getElementById('font-select');
+
+    // A font that failed to load is shown as the first one that works, without changing the saved choice
+    const option = Array.from(fontSelect.options).find(opt => opt.value === font);
+    if (option && option.disabled) {
+        const fallback = Array.from(fontSelect.options).find(opt => !opt.disabled);
+        if (fallback) font = fallback.value;
+    }
+
+    fontSelect.value = font;
+    document.body.style.fontFamily = font;
+}
+
+// ============================================
+// Font Manager
+// ============================================
+
+// Families with an @font-face in styles.css, served from fonts/
+const BUNDLED_FONT_FAMILIES = ['OpenDyslexic', 'Comic Neue', 'Lexend', 'Atkinson Hyperlegible'];
+const CUSTOM_FONTS_KEY = 'dyslexiaAid.customFonts';
+
+const fontStatus = {}; // Family name -> 'loaded' or 'failed' once checked
+
+function initializeFontManager() {
+    loadCustomFonts().forEach(addCustomFontFace);
+    renderFontOptions();
+    checkFonts();
+
+    document.getElementById('font-file-input').addEventListener('change', function() {
+        if (this.files[0]) {
+            addCustomFontFile(this.files[0]);
+        }
+        this.value = '';
+    });
+}
+
+// Fonts tutors added from disk: [{ family, dataUrl }]
+function loadCustomFonts() {
+    try {
+        const stored = localStorage.getItem(CUSTOM_FONTS_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        console.error('Could not load custom fonts:', error);
+        return [];
+    }
+}
+
+function saveCustomFonts(fonts) {
+    localStorage.setItem(CUSTOM_FONTS_KEY, JSON.stringify(fonts));
+}
+
+function addCustomFontFace(font) {
+    if (!window.FontFace || !document.fonts) return;
+    document.fonts.add(new FontFace(font.family, `url(${font.dataUrl})`));
+}
+
+// First family named in a font-family value, e.g. 'OpenDyslexic' for "'OpenDyslexic', sans-serif"
+function getFontFamily(value) {
+    return value.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+}
+
+// The font menu lists the markup's fonts followed by the custom ones
+function renderFontOptions() {
+    const fontSelect = document.getElementById('font-select');
+    fontSelect.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+
+    loadCustomFonts().forEach(font => {
+        const option = createElement('option', null, font.family);
+        option.value = `'${font.family}', sans-serif`;
+        option.dataset.custom = 'true';
+        fontSelect.appendChild(option);
+    });
+    updateFontAvailability();
+}
+
+// Ask the browser to load each font and record which ones it could not
+async function checkFonts() {
+    // Without the CSS Font Loading API every font is offered
+    if (!document.fonts) return;
+
+    const families = [...BUNDLED_FONT_FAMILIES, ...loadCustomFonts().map(font => font.family)];
+    await Promise.all(families.map(async family => {
+        try {
+            const faces = await document.fonts.load(`16px "${family}"`);
+            fontStatus[family] = faces.some(face => face.status === 'loaded') ? 'loaded' : 'failed';
+        } catch (error) {
+            fontStatus[family] = 'failed';
+        }
+        if (fontStatus[family] === 'failed') {
+            console.warn(`Font "${family}" could not be loaded`);
+        }
+    }));
+
+    updateFontAvailability();
+    renderFontManager();
+}
+
+// Fonts that failed to load cannot be picked
+function updateFontAvailability() {
+    const fontSelect = document.getElementById('font-select');
+
+    Array.from(fontSelect.options).forEach(option => {
+        const label = option.dataset.label || option.textContent;
+        const failed = fontStatus[getFontFamily(option.value)] === 'failed';
+        option.dataset.label = label;
+        option.disabled = failed;
+        option.textContent = failed ? `${label} (${t('font.unavailable')})` : label;
+    });
+
+    applyFont(preferences.font);
+}
+
+function addCustomFontFile(file) {
+    const family = file.name.replace(/\.(woff2?|ttf|otf)$/i, '').replace(/[-_]+/g, ' ').trim();
+    const reader = new FileReader();
+
+    reader.onload = function() {
+        const fonts = loadCustomFonts().filter(font => font.family !== family);
+        fonts.push({ family, dataUrl: reader.result });
+        try {
+            saveCustomFonts(fonts);
+        } catch (error) {
+            setFontManagerStatus(`${file.name} is too big to keep in this browser.`);
+            return;
+        }
+
+        addCustomFontFace({ family, dataUrl: reader.result });
+        renderFontOptions();
+        setFontManagerStatus(`Added "${family}". Students can pick it in the Font menu.`);
+        checkFonts();
+        renderFontManager();
+    };
+    reader.readAsDataURL(file);
+}
+
+function deleteCustomFont(family) {
+    saveCustomFonts(loadCustomFonts().filter(font => font.family !== family));
+    if (getFontFamily(preferences.font) === family) {
+        applyFont(DEFAULT_PREFERENCES.font);
+        setPreference('font', DEFAULT_PREFERENCES.font);
+    }
+    renderFontOptions();
+    renderFontManager();
+}
+
+// Tutor list of the fonts on the Themes screen, with whether each one loaded
+function renderFontManager() {
+    const list = document.getElementById('font-manager-list');
+    list.innerHTML = '';
+
+    Array.from(document.getElementById('font-select').options).forEach(option => {
+        const family = getFontFamily(option.value);
+        const item = createElement('li', 'editor-saved-item');
+        item.appendChild(createElement('span', 'editor-saved-stem', option.dataset.label || option.textContent));
+        item.appendChild(createElement('span', 'editor-hint', describeFontStatus(family)));
+
+        if (option.dataset.custom) {
+            const deleteBtn = createElement('button', 'editor-btn editor-remove-btn', 'Delete');
+            deleteBtn.addEventListener('click', () => deleteCustomFont(family));
+            item.appendChild(deleteBtn);
+        }
+        list.appendChild(item);
+    });
+}
+
+function describeFontStatus(family) {
+    if (fontStatus[family] === 'loaded') return 'Loaded';
+    if (fontStatus[family] === 'failed') return 'Failed to load';
+    if (BUNDLED_FONT_FAMILIES.includes(family) || loadCustomFonts().some(font => font.family === family)) {
+        return document.fonts ? 'Checking...' : 'Not checked';
+    }
+    return 'Installed on the device';
+}
+
+function setFontManagerStatus(message) {
+    document.getElementById('font-manager-status').textContent = message;
+}
+
+// ============================================
+// Font Color Swatches
+// ============================================
+function initializeFontColorSwatches() {
+    const fontSwatches = document.querySelectorAll('.font-swatch');
+
+    fontSwatches.forEach(swatch => {
+        swatch.addEventListener('click', function() {
+            applyFontColor(this.dataset.color);
+            setPreference('fontColor', this.dataset.color);
+        });
+    });
+}
+
+function applyFontColor(color) {
+    // Mark the matching swatch as active
+    document.querySelectorAll('.font-swatch').forEach(s => {
+        s.classList.toggle('active', s.dataset.color === color);
+    });
+
+    // Change font color
+    document.body.style.color = color;
+    document.documentElement.style.setProperty('--text-dark', color);
+}
+
+// ============================================
+// Background Color Swatches
+// ============================================
+function initializeBackgroundColorSwatches() {
+    const bgSwatches = document.querySelectorAll('.bg-swatch');
+
+    bgSwatches.forEach(swatch => {
+        swatch.addEventListener('click', function() {
+            applyBackgroundColor(this.dataset.color);
+            setPreference('background', this.dataset.color);
+        });
+    });
+}
+
+function applyBackgroundColor(color) {
+    // Mark the matching swatch as active
+    document.querySelectorAll('.bg-swatch').forEach(s => {
+        s.classList.toggle('active', s.dataset.color === color);
+    });
+
+    // Change background color
+    document.body.style.backgroundColor = color;
+    document.documentElement.style.setProperty('--bg-color', color);
+}
+
+// ============================================
+// Reading Themes
+// ============================================
+
+const THEMES_KEY = 'dyslexiaAid.themes';
+
+/*
+ * Theme shape, saved by tutors in the theme editor:
+ * {
+ *     id: 'high-contrast',
+ *     name: 'High contrast',
+ *     fontColor: '#000000',
+ *     background: '#FFFFFF',
+ *     palette: { pink: '#f5d3ed', ... },  // shade shown for each HIGHLIGHT_COLORS name
+ *     letterSpacing: 0.05,                // em
+ *     wordSpacing: 0.15,                  // em
+ *     lineHeight: 1.8,
+ *     fontSize: 16                        // px, the lesson screens scale from 16
+ * }
+ * Highlights keep their HIGHLIGHT_COLORS value in the app's state, so colour coding
+ * checks and colour names do not change; only the shade on screen does.
+ */
+const CLASSIC_THEME = {
+    id: 'classic',
+    name: null, // Translated, see getThemeName
+    fontColor: '#31579B',
+    background: '#DCEAF6',
+    palette: Object.fromEntries(HIGHLIGHT_COLORS.map(entry => [entry.name, entry.color])),
+    letterSpacing: 0.05,
+    wordSpacing: 0.15,
+    lineHeight: 1.8,
+    fontSize: 16
+};
+
+let activeTheme = CLASSIC_THEME;
+
+// The built-in theme followed by the tutors' themes
+function loadThemes() {
+    try {
+        const stored = localStorage.getItem(THEMES_KEY);
+        return [CLASSIC_THEME, ...(stored ? JSON.parse(stored) : [])];
+    } catch (error) {
+        console.error('Could not load themes:', error);
+        return [CLASSIC_THEME];
+    }
+}
+
+function saveThemes(themes) {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(themes.filter(theme => theme !== CLASSIC_THEME)));
+}
+
+function getTheme(id) {
+    return loadThemes().find(theme => theme.id === id) || CLASSIC_THEME;
+}
+
+function getThemeName(theme) {
+    return theme.name || t('theme.classic');
+}
+
+function initializeThemeSelector() {
+    document.getElementById('theme-select').addEventListener('change', function() {
+        selectTheme(getTheme(this.value));
+    });
+}
+
+function renderThemeSelector() {
+    const themeSelect = document.getElementById('theme-select');
+    themeSelect.innerHTML = '';
+    loadThemes().forEach(theme => {
+        const option = createElement('option', null, getThemeName(theme));
+        option.value = theme.id;
+        themeSelect.appendChild(option);
+    });
+    themeSelect.value = activeTheme.id;
+}
+
+// Switch the student to a theme, including its text and background colours
+function selectTheme(theme) {
+    setPreference('theme', theme.id);
+    setPreference('fontColor', theme.fontColor);
+    setPreference('background', theme.background);
+    TYPOGRAPHY_SETTINGS.forEach(setting => setPreference(setting.key, null));
+    applyFontColor(theme.fontColor);
+    applyBackgroundColor(theme.background);
+    applyTheme(theme);
+}
+
+function applyTheme(theme) {
+    activeTheme = theme;
+    renderThemeSelector();
+    repaintHighlights();
+    applyTypography();
+}
+
+// Shade the current theme shows for a highlight colour
+function getDisplayColor(hex) {
+    const entry = HIGHLIGHT_COLORS.find(c => c.color === hex);
+    return (entry && activeTheme.palette[entry.name]) || hex;
+}
+
+function repaintHighlights() {
+    document.querySelectorAll('.color-btn[data-color], .word[data-color]').forEach(element => {
+        element.style.backgroundColor = element.dataset.color ? getDisplayColor(element.dataset.color) : '';
+    });
+}
+
+// WCAG 2 relative luminance of a #rrggbb colour
+function getRelativeLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => {
+        const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function getContrastRatio(foreground, background) {
+    const [lighter, darker] = [getRelativeLuminance(foreground), getRelativeLuminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// WCAG level met by a contrast ratio for body text
+function getContrastLevel(ratio) {
+    if (ratio >= 7) return 'AAA';
+    if (ratio >= 4.5) return 'AA';
+    return null;
+}
+
+// ============================================
+// Text Size and Spacing
+// ============================================
+
+// Student sliders for the theme's spacing and size, each driving a CSS variable in styles.css
+const TYPOGRAPHY_SETTINGS = [
+    { key: 'fontSize', slider: 'font-size', variable: '--font-scale', toCss: value => value / 16, format: value => `${value}px` },
+    { key: 'letterSpacing', slider: 'letter-spacing', variable: '--letter-spacing', toCss: value => `${value}em`, format: value => `${value.toFixed(2)}em` },
+    { key: 'wordSpacing', slider: 'word-spacing', variable: '--word-spacing', toCss: value => `${value}em`, format: value => `${value.toFixed(2)}em` },
+    { key: 'lineHeight', slider: 'line-height', variable: '--line-height', toCss: value => value, format: value => value.toFixed(1) }
+];
+
+// From this text size the colour picker moves above the options (see body.large-text in styles.css)
+const LARGE_TEXT_SIZE = 22;
+
+function initializeTextSettings() {
+    TYPOGRAPHY_SETTINGS.forEach(setting => {
+        document.getElementById(`${setting.slider}-slider`).addEventListener('input', function() {
+            setPreference(setting.key, parseFloat(this.value));
+            applyTypography();
+        });
+    });
+
+    // Close the panel when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.text-control')) {
+            toggleTextPanel(false);
+        }
+    });
+}
+
+function toggleTextPanel(open) {
+    const panel = document.getElementById('text-panel');
+    const shouldOpen = open === undefined ? panel.classList.contains('hidden') : open;
+
+    panel.classList.toggle('hidden', !shouldOpen);
+    document.getElementById('text-settings-btn').setAttribute('aria-expanded', String(shouldOpen));
+}
+
+// The student's own value, or the theme's when they have not moved the slider (null)
+function getTypographyValue(key) {
+    return preferences[key] === null ? activeTheme[key] : preferences[key];
+}
+
+function applyTypography() {
+    const root = document.documentElement.style;
+
+    TYPOGRAPHY_SETTINGS.forEach(setting => {
+        const value = getTypographyValue(setting.key);
+        root.setProperty(setting.variable, setting.toCss(value));
+        document.getElementById(`${setting.slider}-slider`).value = value;
+        document.getElementById(`${setting.slider}-value`).textContent = setting.format(value);
+    });
+
+    document.body.classList.toggle('large-text', getTypographyValue('fontSize') >= LARGE_TEXT_SIZE);
+}
+
+function resetTypography() {
+    TYPOGRAPHY_SETTINGS.forEach(setting => setPreference(setting.key, null));
+    applyTypography();
+}
+
+// ============================================
+// Reading Ruler
+// ============================================
+
+const RULER_COLORS = [
+    { id: 'clear', color: 'transparent' },
+    { id: 'yellow', color: 'rgba(255, 235, 59, 0.3)' },
+    { id: 'blue', color: 'rgba(100, 181, 246, 0.3)' },
+    { id: 'pink', color: 'rgba(244, 143, 177, 0.3)' },
+    { id: 'green', color: 'rgba(129, 199, 132, 0.3)' }
+];
+const RULER_HEIGHTS = [1, 2, 3];
+
+let rulerTarget = null; // Element the ruler is on, null while it follows the mouse
+
+function initializeReadingRuler() {
+    const colorSelect = document.getElementById('ruler-color');
+    const heightSelect = document.getElementById('ruler-height');
+
+    RULER_COLORS.forEach(rulerColor => {
+        const option = createElement('option', null, t(`ruler.${rulerColor.id}`));
+        option.value = rulerColor.id;
+        colorSelect.appendChild(option);
+    });
+    RULER_HEIGHTS.forEach(lines => {
+        const option = createElement('option', null, t(lines === 1 ? 'ruler.oneLine' : 'ruler.lines', { count: lines }));
+        option.value = lines;
+        heightSelect.appendChild(option);
+    });
+
+    document.getElementById('ruler-toggle').addEventListener('change', function() {
+        setPreference('readingRuler', this.checked);
+        applyReadingRuler();
+    });
+    colorSelect.addEventListener('change', function() {
+        setPreference('rulerColor', this.value);
+        applyReadingRuler();
+    });
+    heightSelect.addEventListener('change', function() {
+        setPreference('rulerHeight', Number(this.value));
+        applyReadingRuler();
+    });
+
+    document.addEventListener('mousemove', function(e) {
+        if (!preferences.readingRuler) return;
+        rulerTarget = null;
+        placeReadingRuler(e.clientY, getRulerHeight());
+    });
+    // Keyboard and switch users move the ruler with the focus
+    document.addEventListener('focusin', function(e) {
+        if (e.target.closest('.main-content') && !e.target.classList.contains('screen')) {
+            followWithReadingRuler(e.target);
+        }
+    });
+    window.addEventListener('scroll', function() {
+        if (rulerTarget) followWithReadingRuler(rulerTarget);
+    });
+}
+
+// Match the controls and the ruler to the current student's preferences
+function applyReadingRuler() {
+    document.getElementById('ruler-toggle').checked = preferences.readingRuler;
+    document.getElementById('ruler-color').value = preferences.rulerColor;
+    document.getElementById('ruler-height').value = preferences.rulerHeight;
+
+    const ruler = document.getElementById('reading-ruler');
+    const rulerColor = RULER_COLORS.find(c => c.id === preferences.rulerColor) || RULER_COLORS[0];
+    ruler.style.setProperty('--ruler-color', rulerColor.color);
+    ruler.classList.toggle('hidden', !preferences.readingRuler);
+
+    if (rulerTarget) followWithReadingRuler(rulerTarget);
+}
+
+// Height of the clear band in px: the chosen number of lines at the student's text size
+function getRulerHeight() {
+    return preferences.rulerHeight * getTypographyValue('fontSize') * getTypographyValue('lineHeight');
+}
+
+// Put the ruler on an element, or on the whole option it is part of
+function followWithReadingRuler(element) {
+    if (!preferences.readingRuler) return;
+
+    rulerTarget = element.closest('.option') || element;
+    const rect = rulerTarget.getBoundingClientRect();
+    placeReadingRuler(rect.top + rect.height / 2, Math.max(getRulerHeight(), rect.height));
+}
+
+function placeReadingRuler(centerY, height) {
+    const ruler = document.getElementById('reading-ruler');
+    ruler.style.setProperty('--ruler-top', `${centerY - height / 2}px`);
+    ruler.style.setProperty('--ruler-height', `${height}px`);
+}
+
+// ============================================
+// Colour Markers (colour-blind students)
+// ============================================
+function initializeColorMarkerSelector() {
+    document.getElementById('marker-select').addEventListener('change', function() {
+        setPreference('colorMarkers', this.value);
+        applyColorMarkers(this.value);
+    });
+}
+
+// Show each highlight colour's pattern or shape on colour buttons and coloured words
+function applyColorMarkers(mode) {
+    document.getElementById('marker-select').value = mode;
+    document.body.classList.toggle('markers-pattern', mode === 'pattern');
+    document.body.classList.toggle('markers-shape', mode === 'shape');
+
+    document.querySelectorAll('.color-btn[data-color]').forEach(colorBtn => {
+        colorBtn.dataset.marker = getColorMarker(colorBtn.dataset.color);
+    });
+    refreshColorNames();
+}
+
+// The name styles.css draws a colour's marker for
+function getColorMarker(hex) {
+    const entry = HIGHLIGHT_COLORS.find(c => c.color === hex);
+    return entry ? entry.name : '';
+}
+
+// Colour names read out for the pickers change with the markers
+function refreshColorNames() {
+    document.querySelectorAll('.color-btn[data-color]').forEach(colorBtn => {
+        const colorName = getColorName(colorBtn.dataset.color);
+        const label = colorBtn.dataset.word ? t('question.colourFor', { colour: colorName, word: colorBtn.dataset.word }) : colorName;
+        colorBtn.setAttribute('aria-label', capitalize(label));
+    });
+    document.querySelectorAll('[id$="-colour-descriptions"] span').forEach(description => {
+        description.textContent = t('aria.colouredWith', { colour: getColorName(description.dataset.color) });
+    });
+}
+
+// ============================================
+// Preferences (per student profile)
+// ============================================
+
+const PREFERENCES_KEY = 'dyslexiaAid.preferences';
+const PREFERENCES_VERSION = 1;
+const DEFAULT_PROFILE = 'Student';
+
+const DEFAULT_PREFERENCES = {
+    font: "'Comic Neue', cursive",
+    fontColor: '#31579B',
+    background: '#DCEAF6',
+    speechRate: 0.9,
+    speechPitch: 1.0,
+    voice: null, // Voice name, null picks one for the language (Australian for en-AU)
+    theme: 'classic', // Id of the reading theme, see Reading Themes
+    colorMarkers: 'off', // 'pattern' or 'shape' also marks highlight colours for colour-blind students
+    colorAssist: 'off', // Help with matching words, one of COLOR_ASSIST_LEVELS
+    switchScanning: false, // Step through the controls for a single switch
+    scanInterval: 1500, // Milliseconds each control stays highlighted while scanning
+    fontSize: null, // Text size in px, null uses the theme's (see Text Size and Spacing)
+    letterSpacing: null, // em, null uses the theme's
+    wordSpacing: null, // em, null uses the theme's
+    lineHeight: null, // null uses the theme's
+    readingRuler: false, // Dim the screen except for the line being read
+    rulerColor: 'clear', // Tint of the ruler, an id from RULER_COLORS
+    rulerHeight: 1 // Lines of text the ruler shows
+};
+
+/*
+ * Stored shape (version 1):
+ * {
+ *     version: 1,
+ *     activeProfile: 'Student',
+ *     profiles: { 'Student': { font, fontColor, background, theme, speechRate, speechPitch, voice, colorMarkers, colorAssist, switchScanning, scanInterval,
+ *         fontSize, letterSpacing, wordSpacing, lineHeight, readingRuler, rulerColor, rulerHeight } }
+ * }
+ * Bump PREFERENCES_VERSION and extend migratePreferences when the shape changes.
+ */
+function loadPreferenceStore() {
+    try {
+        const store = migratePreferences(JSON.parse(localStorage.getItem(PREFERENCES_KEY)));
+        if (store) return store;
+    } catch (error) {
+        console.error('Could not load preferences:', error);
+    }
+    return { version: PREFERENCES_VERSION, activeProfile: DEFAULT_PROFILE, profiles: {} };
+}
+
+// Bring an older stored shape up to the current version, null if it is unusable
+function migratePreferences(store) {
+    if (!store || typeof store !== 'object') return null;
+
+    if (store.version === PREFERENCES_VERSION) return store;
+
+    console.warn(`Ignoring preferences saved with unknown version ${store.version}`);
+    return null;
+}
+
+// Make the stored active profile current, filling in defaults for anything not saved yet
+function loadPreferences() {
+    const store = loadPreferenceStore();
+    activeProfile = store.activeProfile;
+    preferences = { ...DEFAULT_PREFERENCES, ...store.profiles[activeProfile] };
+}
+
+function savePreferences() {
+    const store = loadPreferenceStore();
+    store.activeProfile = activeProfile;
+    store.profiles[activeProfile] = preferences;
+    savePreferenceStore(store);
+}
+
+// A full or blocked storage only loses the setting for next time; the control keeps working
+function savePreferenceStore(store) {
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(store));
+    } catch (error) {
+        console.error('Could not save preferences:', error);
+    }
+}
+
+function setPreference(key, value) {
+    preferences[key] = value;
+    savePreferences();
+}
+
+// Preferences of any student, e.g. for settings the tutor makes on their behalf
+function getProfilePreferences(name) {
+    if (name === activeProfile) return preferences;
+    return { ...DEFAULT_PREFERENCES, ...loadPreferenceStore().profiles[name] };
+}
+
+function setProfilePreference(name, key, value) {
+    if (name === activeProfile) {
+        setPreference(key, value);
+        return;
+    }
+
+    const store = loadPreferenceStore();
+    store.profiles[name] = { ...getProfilePreferences(name), [key]: value };
+    savePreferenceStore(store);
+}
+
+function applyPreferences() {
+    applyFont(preferences.font);
+    applyFontColor(preferences.fontColor);
+    applyBackgroundColor(preferences.background);
+    applyTheme(getTheme(preferences.theme));
+    applyColorMarkers(preferences.colorMarkers);
+    selectVoice();
+    syncSpeechSettings();
+    syncSwitchScanning();
+    applyReadingRuler();
+    Object.values(questionScreens).forEach(updateColorAssistControls);
+}
+
+function getProfileNames() {
+    const names = Object.keys(loadPreferenceStore().profiles);
+    if (!names.includes(activeProfile)) names.push(activeProfile);
+    return names.sort((a, b) => a.localeCompare(b));
+}
+
+// Load another student's preferences, creating the profile if it is new
+function switchProfile(name) {
+    activeProfile = name;
+    preferences = { ...DEFAULT_PREFERENCES, ...loadPreferenceStore().profiles[name] };
+    savePreferences();
+    applyPreferences();
+    renderProfileSelector();
+}
+
+function initializeProfileSelector() {
+    const profileSelect = document.getElementById('profile-select');
+
+    profileSelect.addEventListener('change', function() {
+        if (this.value !== '') {
+            switchProfile(this.value);
+            return;
+        }
+
+        // "Add student..." option
+        const name = (prompt(t('controls.studentNamePrompt')) || '').trim();
+        if (name) {
+            switchProfile(name);
+        } else {
+            this.value = activeProfile;
+        }
+    });
+
+    renderProfileSelector();
+}
+
+function renderProfileSelector() {
+    const profileSelect = document.getElementById('profile-select');
+    profileSelect.innerHTML = '';
+
+    getProfileNames().forEach(name => {
+        const option = createElement('option', null, name);
+        option.value = name;
+        profileSelect.appendChild(option);
+    });
+
+    const addOption = createElement('option', null, t('controls.addStudent'));
+    addOption.value = '';
+    profileSelect.appendChild(addOption);
+
+    profileSelect.value = activeProfile;
+}
+
+// ============================================
+// Listen Buttons
+// ============================================
+function initializeListenButtons() {
+    const listenButtons = document.querySelectorAll('.listen-btn');
+
+    listenButtons.forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (this.disabled) return;
+
+            // Read the screen's heading and intro text, highlighting each word as it is spoken
+            const screen = this.closest('.screen');
+            const elements = screen.querySelectorAll('h2, .intro-text');
+
+            // Disable button during speech
+            this.disabled = true;
+
+            speakWithHighlight(elements, () => {
+                this.disabled = false;
+            });
+        });
+    });
+}
+
+// ============================================
+// Screen Navigation
+// ============================================
+// Numbered screens are the student path ("screen6"). Named screens are the generated
+// strategy screens ("screen-longest-intro") and tutor tools ("screen-editor").
+function goToScreen(screenNum) {
+    // Stop any ongoing speech or strategy demo when navigating
+    strategyDemoStopped = true;
+    stopSpeech();
+
+    // Leaving a practice test gives it up
+    if (testState && screenNum !== 'test') {
+        abandonTest();
+    }
+
+    // Hide all screens
+    document.querySelectorAll('.screen').forEach(screen => {
+        screen.classList.remove('active');
+    });
+
+    // Show target screen
+    const targetId = typeof screenNum === 'number' ? 'screen' + screenNum : 'screen-' + screenNum;
+    const targetScreen = document.getElementById(targetId);
+    if (targetScreen) {
+        targetScreen.classList.add('active');
+        currentScreen = screenNum;
+
+        // Move screen readers to the new screen and say where they are
+        targetScreen.setAttribute('tabindex', '-1');
+        targetScreen.focus({ preventScroll: true });
+        announce(describeScreen(targetScreen));
+
+        // Reset question screens when navigating to them
+        if (questionScreens[screenNum]) {
+            resetQuestionView(questionScreens[screenNum]);
+            startQuestionVisit(questionScreens[screenNum]);
+        }
+
+        // Scroll to top
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+}
+
+// ============================================
+// Stop Speech
+// ============================================
+// Clear everything waiting and cut off the current speech
+function stopSpeech() {
+    clearSpeechQueue();
+    resumeSpeech();
+    finishCurrentSpeech('cancelled');
+}
+
+// ============================================
+// Screen 4 - Demo Animation
+// ============================================
+// The demo picker is in index.html, so only its colour descriptions are built here
+function initializeDemo() {
+    const colors = Array.from(document.querySelectorAll('#demo-color-picker .color-btn'), colorBtn => colorBtn.dataset.color);
+    document.getElementById('screen4').appendChild(createColorDescriptions('demo', colors));
+}
+
+async function startDemo() {
+    const startBtn = document.getElementById('start-demo-btn');
+    const stopBtn = document.getElementById('stop-demo-btn');
+
+    // Set demo state
+    demoRunning = true;
+    demoStopped = false;
+
+    startBtn.disabled = true;
+    startBtn.textContent = t('demo.inProgress');
+    stopBtn.disabled = false;
+
+    // Clear any previous highlights (for replay)
+    const allWords = document.querySelectorAll('#demo-options .word');
+    allWords.forEach(word => {
+        word.style.backgroundColor = '';
+        word.classList.remove('highlighted', 'flash');
+        setWordColorState('demo', word, null);
+    });
+
+    // Clear previous result and uncheck answers
+    const resultDiv = document.getElementById('demo-result');
+    resultDiv.classList.add('hidden');
+    resultDiv.innerHTML = '';
+    document.querySelectorAll('input[name="demo-answer"]').forEach(cb => cb.checked = false);
+
+    // Show color picker
+    const colorPicker = document.getElementById('demo-color-picker');
+    colorPicker.classList.remove('hidden');
+
+    // Show cursor
+    const cursor = document.getElementById('demo-cursor');
+    cursor.classList.remove('hidden');
+
+    // Color assignments (using new pastel colors)
+    const colorAssignments = [
+        { color: '#f5d3ed', word: 'Spanish', promptId: 'demo-spanish' },
+        { color: '#dcf5d3', word: 'Greek', promptId: 'demo-greek' },
+        { color: '#f6f7b9', word: 'English', promptId: 'demo-english' },
+        { color: '#cee6ff', word: 'Chinese', promptId: 'demo-chinese' },
+        { color: '#9abecc', word: 'Dutch', promptId: 'demo-dutch' },
+        { color: '#f9a2a2', word: 'Italian', promptId: 'demo-italian' }
+    ];
+
+    // Process each color assignment
+    for (const assignment of colorAssignments) {
+        if (demoStopped) break;
+        const wordName = t(`demo.word.${assignment.word.toLowerCase()}`);
+        const text = t('demo.chooseColour', { colour: getColorName(assignment.color), word: wordName });
+        await animateColorSelection(assignment.color, assignment.word, text, assignment.promptId);
+        if (demoStopped) break;
+        await delay(500);
+    }
+
+    if (demoStopped) {
+        endDemo();
+        return;
+    }
+
+    // Hide cursor
+    cursor.classList.add('hidden');
+
+    // Show frequency explanation
+    resultDiv.classList.remove('hidden');
+    resultDiv.appendChild(createElement('p', null, t('demo.strategy')));
+
+    if (!demoStopped) {
+        await speakTextWithPromise(t('demo.strategy'), 'demo-strategy');
+    }
+    if (demoStopped) { endDemo(); return; }
+    await delay(500);
+
+    // Highlight Spanish occurrences (appears in options a and b)
+    if (!demoStopped) {
+        const spanishWords = document.querySelectorAll('#demo-options .word[data-word="Spanish"]');
+        spanishWords.forEach(word => {
+            word.classList.add('flash');
+            setTimeout(() => word.classList.remove('flash'), 1000);
+        });
+    }
+
+    if (demoStopped) { endDemo(); return; }
+    await delay(1200);
+
+    // Highlight English occurrences (appears in options b and d)
+    if (!demoStopped) {
+        const englishWords = document.querySelectorAll('#demo-options .word[data-word="English"]');
+        englishWords.forEach(word => {
+            word.classList.add('flash');
+            setTimeout(() => word.classList.remove('flash'), 1000);
+        });
+    }
+
+    if (demoStopped) { endDemo(); return; }
+    await delay(1200);
+
+    // Show final answer
+    if (!demoStopped) {
+        const answerText = createElement('p', null, t('demo.answer'));
+        answerText.style.marginTop = '16px';
+        resultDiv.appendChild(answerText);
+        await speakTextWithPromise(t('demo.answer'), 'demo-answer');
+    }
+
+    // Check the correct answer
+    if (!demoStopped) {
+        document.getElementById('demo-b').checked = true;
+    }
+
+    endDemo();
+}
+
+function stopDemo() {
+    demoStopped = true;
+    stopSpeech();
+}
+
+function endDemo() {
+    const startBtn = document.getElementById('start-demo-btn');
+    const stopBtn = document.getElementById('stop-demo-btn');
+    const cursor = document.getElementById('demo-cursor');
+
+    demoRunning = false;
+    cursor.classList.add('hidden');
+
+    startBtn.disabled = false;
+    startBtn.textContent = t('demo.replay');
+    stopBtn.disabled = true;
+}
+
+async function animateColorSelection(color, word, spokenText, promptId) {
+    const cursor = document.getElementById('demo-cursor');
+    const colorBtn = document.querySelector(`#demo-color-picker .color-btn[data-color="${color}"]`);
+
+    // Speak the instruction
+    await speakTextWithPromise(spokenText, promptId);
+
+    // Get color button position
+    const btnRect = colorBtn.getBoundingClientRect();
+
+    // Move cursor to color button
+    cursor.style.left = (btnRect.left + btnRect.width / 2) + 'px';
+    cursor.style.top = (btnRect.top + btnRect.height / 2) + 'px';
+
+    await delay(800);
+
+    // Simulate click on color button
+    colorBtn.classList.add('selected');
+    await delay(300);
+    colorBtn.classList.remove('selected');
+
+    // Find and highlight the word
+    const words = document.querySelectorAll(`#demo-options .word[data-word="${word}"]`);
+
+    for (const wordEl of words) {
+        const wordRect = wordEl.getBoundingClientRect();
+
+        // Move cursor to word
+        cursor.style.left = (wordRect.left + wordRect.width / 2) + 'px';
+        cursor.style.top = (wordRect.top + wordRect.height / 2) + 'px';
+
+        await delay(600);
+
+        // Highlight the word
+        wordEl.style.backgroundColor = getDisplayColor(color);
+        wordEl.classList.add('highlighted');
+        setWordColorState('demo', wordEl, color);
+
+        await delay(300);
+    }
+}
+
+// ============================================
+// Screen 5 - Practice Interactive (User-Driven)
+// ============================================
+
+// Track word colors for results display
+let wordColorMap = {};
+
+function initializePracticeColorPicker() {
+    // Render the guided question from the bank
+    practiceQuestion = getQuestionBank().find(q => q.mode === 'guided');
+    if (!practiceQuestion) {
+        console.error('Question bank has no guided question for Screen 5');
+        return;
+    }
+    renderQuestionBody(document.getElementById('practice-question'), practiceQuestion, 'practice');
+
+    const colorButtons = document.querySelectorAll('#practice-color-picker .color-btn');
+    const practiceWords = document.querySelectorAll('#practice-options .word');
+    const practiceCheckboxes = document.querySelectorAll('input[name="practice-answer"]');
+
+    // Count total words to highlight
+    totalWordsToHighlight = practiceWords.length;
+
+    // Disable checkboxes initially - they should only be enabled after highlighting is complete
+    practiceCheckboxes.forEach(checkbox => {
+        checkbox.disabled = true;
+    });
+
+    // Make checkboxes function as radio buttons (when enabled)
+    practiceCheckboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            if (this.checked) {
+                // Uncheck all other checkboxes
+                practiceCheckboxes.forEach(cb => {
+                    if (cb !== this) {
+                        cb.checked = false;
+                    }
+                });
+
+                // Show check answers button
+                document.getElementById('check-answers-btn').classList.remove('hidden');
+            }
+        });
+    });
+
+    // Color button click - select color and speak instruction
+    colorButtons.forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (this.disabled || isSpeechBusy()) return;
+
+            const color = this.dataset.color;
+            const word = this.dataset.word;
+
+            // Remove selected class from all color buttons
+            colorButtons.forEach(b => b.classList.remove('selected'));
+
+            // Add selected class to this button
+            this.classList.add('selected');
+
+            // Store selected color and word
+            selectedPracticeColor = color;
+            selectedPracticeWord = word;
+            selectedPracticeTerm = this.dataset.term;
+
+            // Store color mapping for this word
+            wordColorMap[word] = color;
+
+            // Speak instruction
+            speakText(t('practice.highlightWord', { word, colour: getColorName(color) }));
+        });
+    });
+
+    // Word click - highlight if color is selected and word matches
+    practiceWords.forEach((wordEl, index) => {
+        // Make words clickable
+        wordEl.style.cursor = 'pointer';
+        wordEl.setAttribute('tabindex', '0');
+        wordEl.setAttribute('role', 'button');
+
+        const handleWordClick = function() {
+            // Check if a color is selected
+            if (!selectedPracticeColor || !selectedPracticeWord) {
+                speakText(t('question.pickColourFirst'));
+                return;
+            }
+
+            // Check if this word is already highlighted
+            const wordId = `${wordEl.dataset.term}-${index}`;
+            if (highlightedWords.has(wordId)) {
+                return; // Already highlighted
+            }
+
+            const clickedWord = wordEl.dataset.word;
+            const clickedTerm = wordEl.dataset.term;
+
+            // Check if the clicked word matches the expected word for the selected color
+            if (clickedTerm === selectedPracticeTerm) {
+                // Correct! Highlight this word
+                wordEl.style.backgroundColor = getDisplayColor(selectedPracticeColor);
+                wordEl.classList.add('highlighted');
+                highlightedWords.add(wordId);
+                setWordColorState('practice', wordEl, selectedPracticeColor);
+                announce(t('aria.wordColoured', { word: clickedWord, colour: getColorName(selectedPracticeColor) }));
+
+                // Check if all instances of this word are highlighted
+                const allInstancesOfWord = document.querySelectorAll(`#practice-options .word[data-term="${CSS.escape(clickedTerm)}"]`);
+                let allHighlighted = true;
+                allInstancesOfWord.forEach((w, i) => {
+                    const wId = `${w.dataset.term}-${Array.from(practiceWords).indexOf(w)}`;
+                    if (!highlightedWords.has(wId)) {
+                        allHighlighted = false;
+                    }
+                });
+
+                // If all instances of this word are highlighted, disable the color button
+                if (allHighlighted) {
+                    const colorBtn = document.querySelector(`#practice-color-picker .color-btn[data-term="${CSS.escape(clickedTerm)}"]`);
+                    if (colorBtn) {
+                        colorBtn.disabled = true;
+                        colorBtn.classList.remove('selected');
+                        refreshRovingStop(getPickerItems(colorBtn.parentElement, true));
+                    }
+                    // Clear selection
+                    selectedPracticeColor = null;
+                    selectedPracticeWord = null;
+                    selectedPracticeTerm = null;
+                }
+
+                // Check if all words have been highlighted
+                if (highlightedWords.size >= totalWordsToHighlight) {
+                    setTimeout(() => {
+                        // Show strategy instruction
+                        document.getElementById('strategy-instruction').classList.remove('hidden');
+
+                        // Enable checkboxes now that highlighting is complete
+                        const checkboxes = document.querySelectorAll('input[name="practice-answer"]');
+                        checkboxes.forEach(cb => {
+                            cb.disabled = false;
+                        });
+                    }, 500);
+                }
+            } else {
+                // Wrong word - give feedback
+                speakText(t('practice.wrongWord', { word: clickedWord, expected: selectedPracticeWord }));
+            }
+        };
+
+        wordEl.addEventListener('click', handleWordClick);
+        wordEl.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                handleWordClick();
+            }
+        });
+    });
+
+    initializeKeyboardNavigation('practice');
+}
+
+// Name of a highlight colour, with its pattern or shape when the student uses colour markers
+function getColorName(hex) {
+    const entry = HIGHLIGHT_COLORS.find(c => c.color === hex);
+    if (!entry) return t('colour.unknown');
+
+    const colour = t(`colour.${entry.name}`);
+    if (preferences.colorMarkers === 'pattern') {
+        return t('colour.withPattern', { colour, pattern: t(`pattern.${entry.pattern}`) });
+    }
+    if (preferences.colorMarkers === 'shape') {
+        return t('colour.withShape', { colour, shape: t(`shape.${entry.shape}`) });
+    }
+    return colour;
+}
+
+async function checkPracticeAnswers() {
+    const checkBtn = document.getElementById('check-answers-btn');
+    checkBtn.disabled = true;
+
+    const resultDiv = document.getElementById('practice-result');
+    resultDiv.classList.remove('hidden');
+    resultDiv.innerHTML = '';
+
+    // Process each term, most frequent first, with the colour the picker assigned to it
+    for (const term of practiceQuestion.analysis.terms) {
+        const paletteEntry = practiceQuestion.palette.find(entry => entry.term === term.key);
+        const resultText = describeTermCount(term, getColorName(paletteEntry && paletteEntry.color));
+
+        // Add to result div
+        const p = document.createElement('p');
+        p.textContent = resultText;
+        resultDiv.appendChild(p);
+
+        // Speak the result
+        await speakTextWithPromise(resultText);
+
+        // Flash the words
+        const words = document.querySelectorAll(`#practice-options .word[data-term="${CSS.escape(term.key)}"]`);
+        words.forEach(w => {
+            w.classList.add('flash');
+        });
+        await delay(1200);
+        words.forEach(w => w.classList.remove('flash'));
+
+        await delay(300);
+    }
+
+    // Check the correct answer BEFORE the final speech
+    const practiceCheckboxes = document.querySelectorAll('input[name="practice-answer"]');
+    practiceCheckboxes.forEach(cb => cb.checked = false);
+    document.getElementById(`practice-${practiceQuestion.correct}`).checked = true;
+
+    // Add final explanation
+    const finalText = document.createElement('p');
+    finalText.style.marginTop = '16px';
+    finalText.style.fontWeight = 'bold';
+    finalText.textContent = practiceQuestion.explanation;
+    resultDiv.appendChild(finalText);
+
+    await speakTextWithPromise(practiceQuestion.explanation);
+
+    // Show congratulations
+    const congratsBox = document.getElementById('congratulations-box');
+    congratsBox.classList.remove('hidden');
+
+    // Scroll to congratulations
+    congratsBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    checkBtn.disabled = false;
+}
+
+// ============================================
+// Utility Functions
+// ============================================
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Flash elements long enough for the animation to play twice
+async function flashElements(elements) {
+    elements.forEach(element => element.classList.add('flash'));
+    await delay(1200);
+    elements.forEach(element => element.classList.remove('flash'));
+}
+
+// Handle page visibility for speech synthesis, leaving speech the student paused alone
+document.addEventListener('visibilitychange', function() {
+    if (document.hidden) {
+        pausedWhileHidden = !speechPaused && currentSpeech !== null;
+        pauseSpeech();
+    } else if (pausedWhileHidden) {
+        pausedWhileHidden = false;
+        resumeSpeech();
+    }
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', function() {
+    stopSpeech();
+});
+// ============================================
+// Question Renderer
+// ============================================
+
+// Build the question lines, options and colour picker for a question inside container.
+// Element ids are derived from prefix (e.g. "screen6" gives "screen6-options", "screen6-a").
+function renderQuestionBody(container, question, prefix) {
+    container.innerHTML = '';
+
+    const stemText = question.label ? `${question.label}: ${question.stem}` : question.stem;
+    container.appendChild(createQuestionLine(stemText, 'question-text-inline', question.prompts.stem, t('question.listenQuestion')));
+    container.appendChild(createQuestionLine(question.instructions, 'instruction-text-inline', question.prompts.instructions, t('question.listenInstructions')));
+
+    const layout = createElement('div', 'question-picker-layout');
+
+    // Options
+    const questionContainer = createElement('div', 'question-container');
+    const optionsContainer = createElement('div', 'options-container');
+    optionsContainer.id = `${prefix}-options`;
+
+    question.options.forEach(option => {
+        const label = createElement('label', 'option');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = `${prefix}-answer`;
+        checkbox.value = option.id;
+        checkbox.id = `${prefix}-${option.id}`;
+        label.appendChild(checkbox);
+
+        label.appendChild(createElement('span', 'checkmark'));
+
+        const optionText = createElement('span', 'option-text');
+        const marker = question.optionLabelStyle === 'paren' ? ')' : '.';
+        optionText.appendChild(document.createTextNode(`${option.id}${marker} `));
+
+        // Tick questions are not colour coded, so their words stay plain text
+        if (question.mode === 'tick') {
+            optionText.appendChild(document.createTextNode(option.text));
+            label.appendChild(optionText);
+            optionsContainer.appendChild(label);
+            return;
+        }
+
+        const segments = question.analysis.options.find(o => o.id === option.id).segments;
+        segments.forEach(segment => {
+            if (segment.term) {
+                const wordEl = createElement('span', 'word', segment.text);
+                wordEl.dataset.word = segment.text;
+                wordEl.dataset.term = segment.term;
+                wordEl.setAttribute('aria-pressed', 'false');
+                optionText.appendChild(wordEl);
+            } else {
+                optionText.appendChild(document.createTextNode(segment.text));
+            }
+        });
+        label.appendChild(optionText);
+
+        optionsContainer.appendChild(label);
+    });
+
+    questionContainer.appendChild(optionsContainer);
+    layout.appendChild(questionContainer);
+
+    if (question.mode === 'tick') {
+        container.appendChild(layout);
+        return;
+    }
+
+    // Colour picker
+    const picker = createElement('div', 'vertical-color-picker');
+    picker.id = `${prefix}-color-picker`;
+
+    question.palette.forEach(entry => {
+        const colorBtn = createElement('button', 'color-btn');
+        const colorName = getColorName(entry.color);
+        colorBtn.dataset.color = entry.color;
+        colorBtn.style.backgroundColor = getDisplayColor(entry.color);
+        if (entry.word) {
+            colorBtn.dataset.word = entry.word;
+            colorBtn.dataset.term = entry.term;
+            colorBtn.setAttribute('aria-label', capitalize(t('question.colourFor', { colour: colorName, word: entry.word })));
+            colorBtn.title = entry.word;
+        } else {
+            colorBtn.setAttribute('aria-label', capitalize(colorName));
+        }
+        picker.appendChild(colorBtn);
+    });
+
+    // Free questions also get an eraser
+    if (question.mode === 'free') {
+        const eraserBtn = createElement('button', 'color-btn eraser-btn');
+        eraserBtn.id = `${prefix}-eraser`;
+        eraserBtn.setAttribute('aria-label', t('question.eraser'));
+        const eraserIcon = document.createElement('img');
+        eraserIcon.src = 'eraser60.png';
+        eraserIcon.alt = t('question.eraser');
+        eraserIcon.className = 'eraser-icon';
+        eraserBtn.appendChild(eraserIcon);
+        picker.appendChild(eraserBtn);
+
+        picker.appendChild(createHistoryButton(`${prefix}-undo`, '\u21B6', t('question.undo')));
+        picker.appendChild(createHistoryButton(`${prefix}-redo`, '\u21B7', t('question.redo')));
+
+        // Shown when the student's colour coding assist level allows it
+        const whereBtn = createPickerButton(`${prefix}-where`, '\u{1F50D}', t('assist.showWhereElse'));
+        whereBtn.classList.add('hidden');
+        picker.appendChild(whereBtn);
+    }
+
+    layout.appendChild(picker);
+    container.appendChild(layout);
+
+    container.appendChild(createColorDescriptions(prefix, question.palette.map(entry => entry.color)));
+}
+
+// Hidden colour names that coloured words point to with aria-describedby (see setWordColorState)
+function createColorDescriptions(prefix, colors) {
+    const descriptions = createElement('div', 'visually-hidden');
+    descriptions.id = `${prefix}-colour-descriptions`;
+    colors.forEach((color, i) => {
+        const description = createElement('span', null, t('aria.colouredWith', { colour: getColorName(color) }));
+        description.id = `${prefix}-colour-${i}`;
+        description.dataset.color = color;
+        descriptions.appendChild(description);
+    });
+    return descriptions;
+}
+
+// Undo or redo button for the colour picker, disabled until there is something to undo
+function createHistoryButton(id, symbol, label) {
+    const button = createPickerButton(id, symbol, label);
+    button.disabled = true;
+    return button;
+}
+
+// Small symbol button below the colours of the picker
+function createPickerButton(id, symbol, label) {
+    const button = createElement('button', 'history-btn');
+    button.id = id;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    const icon = createElement('span', null, symbol);
+    icon.setAttribute('aria-hidden', 'true');
+    button.appendChild(icon);
+    return button;
+}
+
+function createQuestionLine(text, textClass, spokenText, ariaLabel) {
+    const line = createElement('div', 'question-line');
+    line.appendChild(createElement('p', textClass, text));
+
+    const speakerBtn = createElement('button', 'speaker-btn');
+    speakerBtn.setAttribute('aria-label', ariaLabel);
+    speakerBtn.addEventListener('click', () => speakText(spokenText));
+
+    const speakerIcon = document.createElement('img');
+    speakerIcon.src = 'Speaker30.png';
+    speakerIcon.alt = t('common.speakerIcon');
+    speakerBtn.appendChild(speakerIcon);
+
+    line.appendChild(speakerBtn);
+    return line;
+}
+
+// Split option text into plain and highlightable segments, matching tokens in order
+function splitOptionText(text, tokens) {
+    const segments = [];
+    let cursor = 0;
+
+    tokens.forEach(token => {
+        const start = text.indexOf(token, cursor);
+        if (start === -1) {
+            console.warn(`Token "${token}" not found in option "${text}"`);
+            return;
+        }
+        if (start > cursor) {
+            segments.push({ text: text.slice(cursor, start) });
+        }
+        segments.push({ text: token, word: token });
+        cursor = start + token.length;
+    });
+
+    if (cursor < text.length) {
+        segments.push({ text: text.slice(cursor) });
+    }
+
+    return segments;
+}
+
+function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// ============================================
+// Free Colour-Coding Questions (Screen 6 onwards)
+// ============================================
+
+// Each free question in the bank gets its own screen, numbered after Screen 5.
+// nextScreen is where the last one leads. Returns the number of the last screen.
+function initializeQuestionScreens(nextScreen) {
+    const freeQuestions = getQuestionBank().filter(q => q.mode === 'free');
+    const firstScreenNum = 6;
+
+    // Remove previously built screens
+    Object.values(questionScreens).forEach(view => {
+        const section = document.getElementById(view.prefix);
+        if (section) section.remove();
+    });
+    questionScreens = {};
+
+    freeQuestions.forEach((question, i) => {
+        const screenNum = firstScreenNum + i;
+        const isLast = i === freeQuestions.length - 1;
+        const view = createQuestionView(question, `screen${screenNum}`, screenNum);
+
+        // Keep the screens in order straight after Screen 5
+        const previousScreen = document.getElementById('screen' + (screenNum - 1));
+        previousScreen.after(buildQuestionScreen(view, isLast ? nextScreen : screenNum + 1));
+        initializeQuestionView(view);
+        questionScreens[screenNum] = view;
+    });
+
+    return firstScreenNum + freeQuestions.length - 1;
+}
+
+function createQuestionView(question, prefix, screenNum) {
+    return {
+        question,
+        screenNum,
+        prefix,
+        selectedColor: null,
+        eraserMode: false,
+        wordColors: {}, // Maps word element index to its highlight color
+        undoStack: [], // Steps to undo, latest last: each a list of { index, from, to } changes
+        redoStack: [], // Undone steps to redo, latest last
+        historyMessage: null, // Last undo or redo confirmation spoken
+        lastTerm: null, // Term of the word last clicked, for "show where else"
+        pendingAssist: null, // { indexes, color } offered to colour matching words
+        hintsUsed: 0, // Hints given so far, see Practice Hints
+        startedAt: Date.now(), // When the student opened the question
+        tries: 0, // Answers checked since the question was opened
+        lastAttempt: null, // Promise of the id of the last recorded attempt
+        modalReturnFocus: null, // Element to focus again when the message closes
+        testMode: false, // Part of a practice test: no hints, help or checking until the end
+        minAssistLevel: null // Colour coding assist given even if the student's level is lower, see Adaptive Practice
+    };
+}
+
+function buildQuestionScreen(view, nextScreen) {
+    const { question, prefix, screenNum } = view;
+
+    const section = createElement('section', 'screen question-screen');
+    section.id = prefix;
+
+    section.appendChild(createElement('p', 'instruction-text', question.heading));
+    buildQuestionPanel(view, section);
+    section.appendChild(createNavButtons(screenNum - 1, nextScreen));
+
+    return section;
+}
+
+// Back and Next buttons for a generated screen, no Next button when nextScreen is null
+function createNavButtons(backScreen, nextScreen) {
+    const navButtons = createElement('div', 'nav-buttons');
+    const backBtn = createElement('button', 'back-btn', t('nav.back'));
+    backBtn.addEventListener('click', () => goToScreen(backScreen));
+    navButtons.appendChild(backBtn);
+    if (nextScreen !== null && nextScreen !== undefined) {
+        const nextBtn = createElement('button', 'next-btn', t('nav.next'));
+        nextBtn.addEventListener('click', () => goToScreen(nextScreen));
+        navButtons.appendChild(nextBtn);
+    }
+    return navButtons;
+}
+
+// Question body, check button, result and message modal for a free question
+function buildQuestionPanel(view, container) {
+    const { question, prefix } = view;
+
+    const body = document.createElement('div');
+    renderQuestionBody(body, question, prefix);
+    container.appendChild(body);
+
+    // Offer to colour the other appearances of a word (colour coding assist)
+    if (question.mode === 'free' && !view.testMode) {
+        const offer = createElement('div', 'assist-offer hidden');
+        offer.id = `${prefix}-assist`;
+        const offerText = createElement('p', 'assist-offer-text');
+        offerText.id = `${prefix}-assist-text`;
+        offer.appendChild(offerText);
+        const yesBtn = createElement('button', 'action-btn', t('assist.yes'));
+        yesBtn.addEventListener('click', () => acceptColorAssist(view));
+        offer.appendChild(yesBtn);
+        const noBtn = createElement('button', 'action-btn', t('assist.no'));
+        noBtn.addEventListener('click', () => hideColorAssistOffer(view));
+        offer.appendChild(noBtn);
+        container.appendChild(offer);
+    }
+
+    // Hints lead up to the explanation, worked out from the term frequencies
+    if (question.mode === 'free' && !view.testMode) {
+        const hintBtn = createElement('button', 'action-btn hint-btn', t('hint.button'));
+        hintBtn.id = `${prefix}-hint-btn`;
+        hintBtn.addEventListener('click', () => giveNextHint(view));
+        container.appendChild(hintBtn);
+    }
+
+    // Test answers are only checked when the test is finished
+    if (!view.testMode) {
+        const checkBtn = createElement('button', 'action-btn hidden', t('question.check'));
+        checkBtn.id = `${prefix}-check-btn`;
+        checkBtn.onclick = () => checkQuestionAnswer(view);
+        container.appendChild(checkBtn);
+
+        const resultDiv = createElement('div', 'result-text hidden');
+        resultDiv.id = `${prefix}-result`;
+        container.appendChild(resultDiv);
+    }
+
+    // Floating Modal for messages
+    const modal = createElement('div', 'modal-overlay');
+    modal.id = `${prefix}-modal`;
+    modal.addEventListener('click', event => closeQuestionModal(view, event));
+    modal.addEventListener('keydown', event => trapModalFocus(view, event));
+    const modalContent = createElement('div', 'modal-content');
+    modalContent.id = `${prefix}-modal-content`;
+    modalContent.setAttribute('role', 'dialog');
+    modalContent.setAttribute('aria-modal', 'true');
+    modalContent.setAttribute('aria-labelledby', `${prefix}-modal-text`);
+    const modalText = document.createElement('p');
+    modalText.id = `${prefix}-modal-text`;
+    modalContent.appendChild(modalText);
+    const modalCloseBtn = createElement('button', 'modal-close-btn', t('common.ok'));
+    modalCloseBtn.addEventListener('click', () => closeQuestionModal(view));
+    modalContent.appendChild(modalCloseBtn);
+    modal.appendChild(modalContent);
+    container.appendChild(modal);
+}
+
+// Colouring waits for the reading to finish, except in a test, where the clock is running
+// and the time warnings are read out
+function isColoringBlocked(view) {
+    return !view.testMode && isSpeechBusy();
+}
+
+function initializeQuestionView(view) {
+    const colorButtons = document.querySelectorAll(`#${view.prefix}-color-picker .color-btn:not(.eraser-btn)`);
+    const eraserBtn = document.getElementById(`${view.prefix}-eraser`);
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+    const checkboxes = document.querySelectorAll(`input[name="${view.prefix}-answer"]`);
+
+    // Color button click - select color
+    colorButtons.forEach(btn => {
+        btn.addEventListener('click', function() {
+            if (isColoringBlocked(view)) return;
+
+            // Remove selected class from all buttons including eraser
+            colorButtons.forEach(b => b.classList.remove('selected'));
+            eraserBtn.classList.remove('selected');
+
+            // Add selected class to this button
+            this.classList.add('selected');
+
+            // Store selected color and exit eraser mode
+            view.selectedColor = this.dataset.color;
+            view.eraserMode = false;
+
+            // Colours meant for one word say which (supported adaptive questions)
+            if (this.dataset.word) {
+                speak(t('practice.highlightWord', { word: this.dataset.word, colour: getColorName(view.selectedColor) }), { priority: 'high' });
+            }
+        });
+    });
+
+    // Eraser, undo and redo buttons (tick questions have no picker)
+    if (eraserBtn) {
+        eraserBtn.addEventListener('click', function() {
+            if (isColoringBlocked(view)) return;
+
+            // Remove selected class from all color buttons
+            colorButtons.forEach(b => b.classList.remove('selected'));
+
+            // Toggle eraser selection
+            this.classList.add('selected');
+            view.eraserMode = true;
+            view.selectedColor = null;
+        });
+
+        document.getElementById(`${view.prefix}-undo`).addEventListener('click', () => undoColorChange(view));
+        document.getElementById(`${view.prefix}-redo`).addEventListener('click', () => redoColorChange(view));
+        document.getElementById(`${view.prefix}-where`).addEventListener('click', () => showWhereElse(view));
+        updateColorAssistControls(view);
+    }
+
+    // Word click - highlight or erase
+    words.forEach((wordEl, index) => {
+        wordEl.style.cursor = 'pointer';
+        wordEl.setAttribute('tabindex', '0');
+        wordEl.setAttribute('role', 'button');
+
+        const handleWordClick = function(e) {
+            // Stop propagation and prevent default to stop checkbox from being triggered
+            e.stopPropagation();
+            e.preventDefault();
+
+            if (isColoringBlocked(view)) return;
+
+            view.lastTerm = wordEl.dataset.term;
+            hideColorAssistOffer(view);
+
+            if (view.eraserMode) {
+                // Erase the highlight
+                changeWordColor(view, index, null);
+            } else if (view.selectedColor) {
+                // Highlight with selected color, helping with the matching words if the student needs it
+                colorWordWithAssist(view, index, view.selectedColor);
+            } else {
+                // No color selected
+                showQuestionModal(view, t('question.pickColourFirst'), 'warning');
+            }
+        };
+
+        wordEl.addEventListener('click', handleWordClick);
+        wordEl.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                e.stopPropagation();
+                handleWordClick(e);
+            }
+        });
+    });
+
+    // Make checkboxes behave like radio buttons and show/hide check button
+    checkboxes.forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const checkBtn = document.getElementById(`${view.prefix}-check-btn`);
+            if (!checkBtn) {
+                // Test questions have no check button, just one answer at a time
+                if (this.checked) checkboxes.forEach(cb => cb.checked = cb === this);
+                return;
+            }
+
+            if (this.checked) {
+                // Uncheck all other checkboxes
+                checkboxes.forEach(cb => {
+                    if (cb !== this) {
+                        cb.checked = false;
+                    }
+                });
+                // Show the check button
+                checkBtn.classList.remove('hidden');
+            } else {
+                // If no checkbox is selected, hide the button
+                const anyChecked = Array.from(checkboxes).some(cb => cb.checked);
+                if (!anyChecked) {
+                    checkBtn.classList.add('hidden');
+                }
+            }
+        });
+    });
+
+    initializeKeyboardNavigation(view.prefix);
+}
+
+function checkQuestionAnswer(view) {
+    const checkBtn = document.getElementById(`${view.prefix}-check-btn`);
+    const { chosen, answerCorrect, colorCodingFinished, colorProblems } = evaluateQuestionAnswer(view);
+
+    if (!colorCodingFinished) {
+        // Not all words are highlighted
+        showQuestionModal(view, t('question.finishColourCoding'), 'warning');
+        return;
+    }
+
+    if (!chosen) {
+        showQuestionModal(view, t('question.tickAnAnswer'), 'warning');
+        return;
+    }
+
+    // Work out what to fix when the colour coding is mixed up
+    const colorCodingCorrect = colorProblems.length === 0;
+    const corrections = describeColorProblems(view, colorProblems);
+
+    recordQuestionAttempt(view, chosen, answerCorrect, colorCodingCorrect);
+
+    if (answerCorrect && colorCodingCorrect) {
+        // Correct answer + correct color coding
+        showQuestionModal(view, t('question.correct'), 'success');
+        checkBtn.disabled = true;
+    } else if (answerCorrect && !colorCodingCorrect) {
+        // Correct answer + wrong color coding
+        showQuestionModal(view, [t('question.correctColourMixedUp'), ...corrections].join(' '), 'success');
+        checkBtn.disabled = true;
+    } else if (!answerCorrect && colorCodingCorrect) {
+        // Wrong answer + correct color coding
+        showQuestionModal(view, t('question.wrong'), 'error');
+        // Change button to "Explanation"
+        checkBtn.textContent = t('question.explanation');
+        checkBtn.onclick = () => showQuestionExplanation(view);
+    } else {
+        // Wrong answer + wrong color coding
+        showQuestionModal(view, [t('question.wrongColourMixedUp'), ...corrections].join(' '), 'error');
+        // Change button to "Reset and try again"
+        checkBtn.textContent = t('question.resetAndTryAgain');
+        checkBtn.onclick = () => resetQuestionView(view);
+    }
+}
+
+// The ticked answer (null if none) and whether it and the colour coding are right
+function evaluateQuestionAnswer(view) {
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+    const selectedAnswer = document.querySelector(`input[name="${view.prefix}-answer"]:checked`);
+    const chosen = selectedAnswer ? selectedAnswer.value : null;
+
+    return {
+        chosen,
+        answerCorrect: chosen === view.question.correct,
+        colorCodingFinished: Object.keys(view.wordColors).length >= words.length,
+        colorProblems: diagnoseColorCoding(view)
+    };
+}
+
+/*
+ * Find what is mixed up in the colour coding:
+ * - { type: 'inconsistent', occurrences } - one term in more than one colour
+ * - { type: 'shared', color, occurrences } - different terms in the same colour
+ * Each occurrence is { index, term, word, color, optionId } for one word, so the
+ * problem can be outlined and described.
+ */
+function diagnoseColorCoding(view) {
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+    const problems = [];
+
+    // Group the coloured words by term and by colour
+    const byTerm = {};
+    const byColor = {};
+    words.forEach((wordEl, index) => {
+        const color = view.wordColors[index];
+        if (!color) return;
+
+        const occurrence = {
+            index,
+            term: wordEl.dataset.term,
+            word: wordEl.dataset.word,
+            color,
+            optionId: wordEl.closest('.option').querySelector('input').value
+        };
+        (byTerm[occurrence.term] = byTerm[occurrence.term] || []).push(occurrence);
+        (byColor[color] = byColor[color] || []).push(occurrence);
+    });
+
+    // Same word should have the same color
+    Object.values(byTerm).forEach(occurrences => {
+        if (new Set(occurrences.map(o => o.color)).size > 1) {
+            problems.push({ type: 'inconsistent', occurrences });
+        }
+    });
+
+    // Different words should have different colors
+    Object.entries(byColor).forEach(([color, occurrences]) => {
+        if (new Set(occurrences.map(o => o.term)).size > 1) {
+            problems.push({ type: 'shared', color, occurrences });
+        }
+    });
+
+    return problems;
+}
+
+// A spoken correction for one colour coding problem
+function describeColorProblem(problem) {
+    const [first] = problem.occurrences;
+
+    if (problem.type === 'inconsistent') {
+        const other = problem.occurrences.find(o => o.color !== first.color);
+        return t('diagnosis.inconsistent', {
+            word: first.word,
+            colour: getColorName(first.color),
+            option: first.optionId,
+            otherColour: getColorName(other.color),
+            otherOption: other.optionId
+        });
+    }
+
+    const other = problem.occurrences.find(o => o.term !== first.term);
+    return t('diagnosis.shared', { word: first.word, otherWord: other.word, colour: getColorName(problem.color) });
+}
+
+// Outline the words involved in the problems and add the corrections to the message
+function describeColorProblems(view, problems) {
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+    problems.forEach(problem => {
+        problem.occurrences.forEach(o => words[o.index].classList.add('colour-problem'));
+    });
+    return problems.map(describeColorProblem);
+}
+
+// Outlines go as soon as the student starts fixing the colours
+function clearColorProblems(view) {
+    document.querySelectorAll(`#${view.prefix}-options .word.colour-problem`).forEach(wordEl => {
+        wordEl.classList.remove('colour-problem');
+    });
+}
+
+async function showQuestionExplanation(view) {
+    const checkBtn = document.getElementById(`${view.prefix}-check-btn`);
+    const resultDiv = document.getElementById(`${view.prefix}-result`);
+
+    checkBtn.disabled = true;
+    markExplanationNeeded(view);
+    hideHintButton(view);
+
+    // Hide modal if visible
+    closeQuestionModalSilent(view);
+
+    // Tick the correct answer
+    const checkboxes = document.querySelectorAll(`input[name="${view.prefix}-answer"]`);
+    checkboxes.forEach(cb => cb.checked = false);
+    document.getElementById(`${view.prefix}-${view.question.correct}`).checked = true;
+
+    // Show result div
+    resultDiv.classList.remove('hidden');
+    resultDiv.innerHTML = '';
+
+    // Tick questions walk through their strategy instead of the colour coding
+    if (view.question.mode === 'tick') {
+        await playStrategySteps(view);
+        resultDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        checkBtn.disabled = false;
+        return;
+    }
+
+    // Get all words and their colors
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+
+    // Build word data - occurrences of each term with the colours the student used
+    const wordOccurrences = {};
+    words.forEach((wordEl, index) => {
+        const term = wordEl.dataset.term;
+        const color = view.wordColors[index];
+
+        if (!wordOccurrences[term]) {
+            wordOccurrences[term] = [];
+        }
+        wordOccurrences[term].push({ index, color, element: wordEl });
+    });
+
+    // Process each term from the frequency analysis, most frequent first
+    for (const term of view.question.analysis.terms) {
+        const occurrences = wordOccurrences[term.key] || [];
+
+        // Get the color(s) used - take the first one for display
+        const colorUsed = occurrences.length > 0 ? occurrences[0].color : null;
+        const resultText = describeTermCount(term, getColorName(colorUsed));
+
+        // Add to result div
+        const p = document.createElement('p');
+        p.textContent = resultText;
+        resultDiv.appendChild(p);
+
+        // Speak the result, giving up if the speech was stopped
+        if (await speakTextWithPromise(resultText) === 'cancelled') {
+            checkBtn.disabled = false;
+            return;
+        }
+
+        // Flash all instances of this word
+        occurrences.forEach(occ => {
+            occ.element.classList.add('flash');
+        });
+        await delay(1200);
+        occurrences.forEach(occ => {
+            occ.element.classList.remove('flash');
+        });
+
+        await delay(300);
+    }
+
+    // Add final explanation
+    const finalText = document.createElement('p');
+    finalText.style.marginTop = '16px';
+    finalText.style.fontWeight = 'bold';
+    finalText.textContent = view.question.explanation;
+    resultDiv.appendChild(finalText);
+
+    await speakTextWithPromise(view.question.explanation);
+
+    // Scroll to result
+    resultDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    checkBtn.disabled = false;
+}
+
+function showQuestionModal(view, message, type) {
+    const modal = document.getElementById(`${view.prefix}-modal`);
+    const modalContent = document.getElementById(`${view.prefix}-modal-content`);
+    const modalText = document.getElementById(`${view.prefix}-modal-text`);
+
+    // Set message
+    modalText.textContent = message;
+
+    // Set type class
+    modalContent.className = 'modal-content';
+    if (type) {
+        modalContent.classList.add(type);
+    }
+
+    // Show modal, moving focus into it until it is closed
+    if (!modal.classList.contains('visible')) {
+        view.modalReturnFocus = document.activeElement;
+    }
+    modal.classList.add('visible');
+    modal.querySelector('.modal-close-btn').focus();
+
+    // Speak the message ahead of anything else waiting
+    speak(message, { priority: 'high' });
+}
+
+function closeQuestionModal(view, event) {
+    // If clicking on the overlay (not the content), close
+    if (event && event.target !== event.currentTarget) {
+        return;
+    }
+
+    hideQuestionModal(view);
+}
+
+function closeQuestionModalSilent(view) {
+    hideQuestionModal(view);
+}
+
+// Hide the message and give focus back to where it was before it opened
+function hideQuestionModal(view) {
+    const modal = document.getElementById(`${view.prefix}-modal`);
+    if (!modal || !modal.classList.contains('visible')) return;
+
+    modal.classList.remove('visible');
+    if (view.modalReturnFocus && view.modalReturnFocus.isConnected) {
+        view.modalReturnFocus.focus();
+    }
+    view.modalReturnFocus = null;
+}
+
+// The OK button is the only thing to focus in the message, and Escape closes it
+function trapModalFocus(view, event) {
+    if (event.key === 'Tab') {
+        event.preventDefault();
+        document.getElementById(`${view.prefix}-modal`).querySelector('.modal-close-btn').focus();
+    } else if (event.key === 'Escape') {
+        hideQuestionModal(view);
+    }
+}
+
+function resetQuestionView(view) {
+    // Reset state
+    view.selectedColor = null;
+    view.eraserMode = false;
+    view.wordColors = {};
+    view.undoStack = [];
+    view.redoStack = [];
+    view.lastTerm = null;
+    view.hintsUsed = 0;
+    updateHistoryButtons(view);
+    updateColorAssistControls(view);
+    updateHintButton(view);
+
+    // Clear word highlights
+    const words = document.querySelectorAll(`#${view.prefix}-options .word`);
+    words.forEach(word => {
+        word.style.backgroundColor = '';
+        word.classList.remove('highlighted', 'flash', 'colour-problem');
+        setWordColorState(view.prefix, word, null);
+    });
+
+    // Clear options flashed or crossed out by a strategy walkthrough
+    document.querySelectorAll(`#${view.prefix}-options .option`).forEach(option => {
+        option.classList.remove('flash', 'eliminated');
+    });
+
+    // Clear color button selections (including eraser)
+    const colorButtons = document.querySelectorAll(`#${view.prefix}-color-picker .color-btn`);
+    colorButtons.forEach(btn => btn.classList.remove('selected'));
+
+    // Reset checkboxes
+    const checkboxes = document.querySelectorAll(`input[name="${view.prefix}-answer"]`);
+    checkboxes.forEach(cb => cb.checked = false);
+
+    // Reset and hide check button
+    const checkBtn = document.getElementById(`${view.prefix}-check-btn`);
+    if (checkBtn) {
+        checkBtn.textContent = t('question.check');
+        checkBtn.onclick = () => checkQuestionAnswer(view);
+        checkBtn.disabled = false;
+        checkBtn.classList.add('hidden');
+    }
+
+    // Hide modal
+    closeQuestionModalSilent(view);
+
+    // Hide result
+    const resultDiv = document.getElementById(`${view.prefix}-result`);
+    if (resultDiv) {
+        resultDiv.classList.add('hidden');
+        resultDiv.innerHTML = '';
+    }
+}
+
+// ============================================
+// Colour Coding Undo / Redo
+// ============================================
+
+// Colour a word (null clears it), remembering the change so it can be undone
+function changeWordColor(view, index, color) {
+    changeWordColors(view, [index], color);
+}
+
+// Colour several words as one step that is undone together
+function changeWordColors(view, indexes, color) {
+    const changes = indexes
+        .map(index => ({ index, from: view.wordColors[index] || null, to: color }))
+        .filter(change => change.from !== color);
+    if (changes.length === 0) return;
+
+    view.undoStack.push(changes);
+    view.redoStack = [];
+    changes.forEach(change => applyWordColor(view, change.index, color));
+    announceWordColors(view, changes.map(change => change.index), color);
+}
+
+function applyWordColor(view, index, color) {
+    const wordEl = document.querySelectorAll(`#${view.prefix}-options .word`)[index];
+
+    if (color) {
+        wordEl.style.backgroundColor = getDisplayColor(color);
+        wordEl.classList.add('highlighted');
+        view.wordColors[index] = color;
+    } else {
+        wordEl.style.backgroundColor = '';
+        wordEl.classList.remove('highlighted');
+        delete view.wordColors[index];
+    }
+    setWordColorState(view.prefix, wordEl, color);
+    clearColorProblems(view);
+    updateHistoryButtons(view);
+}
+
+// Undo and redo wait for the reading like colouring does, but not for their own confirmation,
+// so a student can undo several misclicks in a row
+function isHistoryBlocked(view) {
+    const confirming = currentSpeech && currentSpeech.text === view.historyMessage && speechQueue.length === 0;
+    return isColoringBlocked(view) && !confirming;
+}
+
+// Cut off the previous confirmation instead of queueing behind it
+function speakHistoryMessage(view, message) {
+    view.historyMessage = message;
+    speak(message, { priority: 'high', interrupt: true });
+}
+
+function undoColorChange(view) {
+    if (isHistoryBlocked(view)) return;
+
+    const changes = view.undoStack.pop();
+    if (!changes) {
+        speakHistoryMessage(view, t('history.nothingToUndo'));
+        return;
+    }
+
+    hideColorAssistOffer(view);
+    view.redoStack.push(changes);
+    changes.forEach(change => applyWordColor(view, change.index, change.from));
+    announceColorChange(view, changes[0].index, changes[0].from, 'undo');
+}
+
+function redoColorChange(view) {
+    if (isHistoryBlocked(view)) return;
+
+    const changes = view.redoStack.pop();
+    if (!changes) {
+        speakHistoryMessage(view, t('history.nothingToRedo'));
+        return;
+    }
+
+    hideColorAssistOffer(view);
+    view.undoStack.push(changes);
+    changes.forEach(change => applyWordColor(view, change.index, change.to));
+    announceColorChange(view, changes[0].index, changes[0].to, 'redo');
+}
+
+// Say what the word looks like now, e.g. "Undone. Mercury is pink again."
+function announceColorChange(view, index, color, action) {
+    const word = document.querySelectorAll(`#${view.prefix}-options .word`)[index].dataset.word;
+    const key = color ? `history.${action}Colour` : `history.${action}Clear`;
+    const message = t(key, { word, colour: getColorName(color) });
+    speakHistoryMessage(view, message);
+    announce(message);
+}
+
+function updateHistoryButtons(view) {
+    const undoBtn = document.getElementById(`${view.prefix}-undo`);
+    const redoBtn = document.getElementById(`${view.prefix}-redo`);
+    if (!undoBtn) return;
+
+    undoBtn.disabled = view.undoStack.length === 0;
+    redoBtn.disabled = view.redoStack.length === 0;
+}
+
+// Ctrl+Z undoes and Ctrl+Y (or Ctrl+Shift+Z) redoes on the colour-coding question on screen
+function initializeUndoShortcuts() {
+    document.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // Leave typing in the tutor's text boxes alone
+        if (e.target instanceof Element && e.target.closest('input, textarea, select')) return;
+        // The question is behind the message until it is closed
+        if (document.querySelector('.modal-overlay.visible')) return;
+
+        const view = questionScreens[currentScreen] || getCurrentTestView();
+        if (!view || view.question.mode !== 'free') return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoColorChange(view);
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoColorChange(view);
+        }
+    });
+}
+
+// ============================================
+// Screen Reader Support
+// ============================================
+
+// Read a message out through the live region in index.html
+function announce(message) {
+    const liveRegion = document.getElementById('live-region');
+    liveRegion.textContent = '';
+    // Set the text after clearing it, so a repeated message is read again
+    setTimeout(() => {
+        liveRegion.textContent = message;
+    }, 50);
+}
+
+function describeScreen(screen) {
+    const heading = screen.querySelector('h2, .instruction-text, .intro-text');
+    return heading ? heading.textContent.trim() : t('aria.newScreen');
+}
+
+// Words are toggle buttons, pressed once coloured and described by their colour's name
+function setWordColorState(prefix, wordEl, color) {
+    const description = color && document.querySelector(`#${prefix}-colour-descriptions [data-color="${color}"]`);
+
+    // The demo's words are only coloured for the student to watch, so they are not toggle buttons
+    if (wordEl.getAttribute('role') === 'button') {
+        wordEl.setAttribute('aria-pressed', String(Boolean(color)));
+    }
+    wordEl.dataset.color = color || '';
+    wordEl.dataset.marker = color ? getColorMarker(color) : '';
+    if (description) {
+        wordEl.setAttribute('aria-describedby', description.id);
+    } else {
+        wordEl.removeAttribute('aria-describedby');
+    }
+}
+
+function announceWordColors(view, indexes, color) {
+    const word = getWordText(view, indexes[0]);
+    const colour = getColorName(color);
+
+    if (!color) {
+        announce(t('aria.wordCleared', { word }));
+    } else if (indexes.length === 1) {
+        announce(t('aria.wordColoured', { word, colour }));
+    } else {
+        announce(t('aria.wordsColoured', { word, colour }));
+    }
+}
+
+// ============================================
+// Colour Coding Assist
+// ============================================
+
+// How much help a student gets with words that appear more than once, set per student by
+// the tutor on the History screen and turned down as they get the hang of it.
+// The labels are the 'assist.level.*' messages.
+const COLOR_ASSIST_LEVELS = ['off', 'hint', 'offer', 'auto'];
+
+// The student's colour coding assist level, raised for supported questions and off in tests
+function getColorAssistLevel(view) {
+    if (view.testMode) return 'off';
+
+    const level = preferences.colorAssist;
+    return view.minAssistLevel && COLOR_ASSIST_LEVELS.indexOf(view.minAssistLevel) > COLOR_ASSIST_LEVELS.indexOf(level) ? view.minAssistLevel : level;
+}
+
+function colorWordWithAssist(view, index, color) {
+    const level = getColorAssistLevel(view);
+    const matches = level === 'offer' || level === 'auto' ? getMatchingWordIndexes(view, index, color) : [];
+
+    if (level === 'auto' && matches.length > 0) {
+        changeWordColors(view, [index, ...matches], color);
+        speak(t('assist.colouredAll', { word: getWordText(view, index), colour: getColorName(color) }), { priority: 'high' });
+        return;
+    }
+
+    changeWordColor(view, index, color);
+    if (level === 'offer' && matches.length > 0) {
+        showColorAssistOffer(view, index, matches, color);
+    }
+}
+
+// Other words with the same term as the word at index that are not this colour yet
+function getMatchingWordIndexes(view, index, color) {
+    const words = Array.from(document.querySelectorAll(`#${view.prefix}-options .word`));
+    const term = words[index].dataset.term;
+    return words
+        .map((wordEl, i) => i)
+        .filter(i => i !== index && words[i].dataset.term === term && view.wordColors[i] !== color);
+}
+
+function getWordText(view, index) {
+    return document.querySelectorAll(`#${view.prefix}-options .word`)[index].dataset.word;
+}
+
+function showColorAssistOffer(view, index, matches, color) {
+    const params = { count: matches.length, word: getWordText(view, index), colour: getColorName(color) };
+    const message = t(matches.length === 1 ? 'assist.offerOne' : 'assist.offerMany', params);
+
+    view.pendingAssist = { indexes: matches, color };
+    document.getElementById(`${view.prefix}-assist-text`).textContent = message;
+    document.getElementById(`${view.prefix}-assist`).classList.remove('hidden');
+    speak(message, { priority: 'high' });
+}
+
+function acceptColorAssist(view) {
+    const { indexes, color } = view.pendingAssist;
+    hideColorAssistOffer(view);
+    changeWordColors(view, indexes, color);
+}
+
+function hideColorAssistOffer(view) {
+    const offer = document.getElementById(`${view.prefix}-assist`);
+    view.pendingAssist = null;
+    if (offer) offer.classList.add('hidden');
+}
+
+// Flash every appearance of the word last clicked
+async function showWhereElse(view) {
+    if (!view.lastTerm) {
+        speak(t('assist.pickWordFirst'), { priority: 'high' });
+        return;
+    }
+
+    const matches = document.querySelectorAll(`#${view.prefix}-options .word[data-term="${CSS.escape(view.lastTerm)}"]`);
+    const params = { word: matches[0].dataset.word, count: matches.length };
+    speak(t(matches.length === 1 ? 'assist.appearsOnce' : 'assist.appearsMany', params), { priority: 'high' });
+
+    await flashElements(matches);
+}
+
+// Show the "show where else" button at every level but off
+function updateColorAssistControls(view) {
+    const whereBtn = document.getElementById(`${view.prefix}-where`);
+    if (whereBtn) whereBtn.classList.toggle('hidden', getColorAssistLevel(view) === 'off');
+    hideColorAssistOffer(view);
+}
+
+// Tutor setting on the History screen for the student shown there
+function setStudentColorAssist() {
+    const name = document.getElementById('history-profile').value;
+    setProfilePreference(name, 'colorAssist', document.getElementById('history-assist').value);
+}
+
+// ============================================
+// Practice Hints
+// ============================================
+
+// Each hint gives away a little more, until the full explanation is read out
+const HINT_LEVELS = [
+    getUncolouredWordHint,
+    getRepeatedTermHint,
+    getTwoOptionsHint
+];
+
+async function giveNextHint(view) {
+    if (isSpeechBusy()) return;
+
+    // After the last hint the student gets the whole explanation
+    if (view.hintsUsed >= HINT_LEVELS.length) {
+        showQuestionExplanation(view);
+        return;
+    }
+
+    const hint = HINT_LEVELS[view.hintsUsed](view);
+    view.hintsUsed++;
+    updateHintButton(view);
+    markHintUsed(view);
+
+    closeQuestionModalSilent(view);
+    const resultDiv = document.getElementById(`${view.prefix}-result`);
+    resultDiv.classList.remove('hidden');
+    resultDiv.appendChild(createElement('p', 'hint-text', hint.text));
+
+    (hint.eliminate || []).forEach(id => getOptionElement(view, id).classList.add('eliminated'));
+    await Promise.all([
+        speakTextWithPromise(hint.text),
+        flashElements(hint.elements || [])
+    ]);
+}
+
+// Hint 1: a word that still needs a colour
+function getUncolouredWordHint(view) {
+    const words = Array.from(document.querySelectorAll(`#${view.prefix}-options .word`));
+    const uncoloured = words.find((wordEl, index) => !view.wordColors[index]);
+    if (!uncoloured) {
+        return { text: t('hint.allColoured') };
+    }
+    return { text: t('hint.uncoloured', { word: uncoloured.dataset.word }), elements: [uncoloured] };
+}
+
+// Hint 2: the term that appears most often across the options
+function getRepeatedTermHint(view) {
+    const term = view.question.analysis.terms[0];
+    if (!term || term.count < 2) {
+        return { text: t('frequency.noRepeats') };
+    }
+    return {
+        text: t('hint.repeated', { term: term.label, count: term.count, options: formatList(term.optionIds) }),
+        elements: Array.from(document.querySelectorAll(`#${view.prefix}-options .word[data-term="${CSS.escape(term.key)}"]`))
+    };
+}
+
+// Hint 3: the answer and the option scoring closest to it, crossing out the rest
+function getTwoOptionsHint(view) {
+    const { question } = view;
+    const runnerUp = question.analysis.scores
+        .filter(score => score.optionId !== question.correct)
+        .sort((a, b) => b.score - a.score)[0];
+    const remaining = question.options
+        .map(option => option.id)
+        .filter(id => id === question.correct || id === runnerUp.optionId);
+
+    return {
+        text: t('hint.twoOptions', { first: remaining[0], second: remaining[1] }),
+        eliminate: question.options.map(option => option.id).filter(id => !remaining.includes(id))
+    };
+}
+
+// The hint button turns into the explanation button once the hints run out
+function updateHintButton(view) {
+    const hintBtn = document.getElementById(`${view.prefix}-hint-btn`);
+    if (!hintBtn) return;
+
+    hintBtn.textContent = view.hintsUsed >= HINT_LEVELS.length ? t('question.explanation') : t('hint.button');
+    hintBtn.classList.remove('hidden');
+}
+
+function hideHintButton(view) {
+    const hintBtn = document.getElementById(`${view.prefix}-hint-btn`);
+    if (hintBtn) hintBtn.classList.add('hidden');
+}
+
+// ============================================
+// Keyboard and Switch Access
+// ============================================
+
+// Seconds per step offered in the controls bar, slowest first
+const SCAN_SPEEDS = [
+    { interval: 2500, key: 'scan.slow' },
+    { interval: 1500, key: 'scan.medium' },
+    { interval: 1000, key: 'scan.fast' }
+];
+
+let scanState = null; // { timer, screen, groupIndex, highlighted, items, itemIndex } while scanning
+
+/*
+ * Keyboard model on colour coding screens:
+ * - 1 to 9 pick a colour from the picker, E picks the eraser
+ * - the picker and the options are one tab stop each (roving tabindex)
+ * - arrow keys move around the picker, and around the options as a grid of
+ *   rows (one per option) holding the answer checkbox and then its words
+ * With switch scanning on, Space and Enter act as the switch instead.
+ */
+function initializeKeyboardAccess() {
+    document.addEventListener('keydown', function(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target instanceof Element && e.target.closest('input:not([type="checkbox"]), textarea, select')) return;
+
+        // Space and Enter are the switch, unless they are working the control that has focus
+        // (the scanning checkbox, the controls bar or a word chosen with the keyboard)
+        const onControl = e.target instanceof Element &&
+            e.target.closest('button, a[href], input, select, summary, [role="button"], [tabindex]:not([tabindex="-1"])');
+        if (preferences.switchScanning && (e.key === ' ' || e.key === 'Enter') && !onControl) {
+            e.preventDefault();
+            pressSwitch();
+            return;
+        }
+
+        const screen = document.querySelector('.screen.active');
+        const panel = screen && getQuestionPanel(screen);
+        const picker = panel && panel.querySelector('.vertical-color-picker');
+        const optionsContainer = panel && panel.querySelector('.options-container');
+        if (!optionsContainer || !(e.target instanceof Element)) return;
+
+        if (e.key.startsWith('Arrow')) {
+            let moved = false;
+            if (picker && picker.contains(e.target)) {
+                moved = movePickerFocus(picker, e.target, e.key);
+            } else if (optionsContainer.contains(e.target)) {
+                moved = moveOptionFocus(optionsContainer, e.target, e.key);
+            }
+            if (moved) e.preventDefault();
+            return;
+        }
+
+        if (!picker) return;
+
+        // Choosing a colour sends focus back to the options to use it
+        let colorBtn = null;
+        if (/^[1-9]$/.test(e.key)) {
+            colorBtn = picker.querySelectorAll('.color-btn:not(.eraser-btn)')[Number(e.key) - 1];
+        } else if (e.key === 'e' || e.key === 'E') {
+            colorBtn = picker.querySelector('.eraser-btn');
+        } else if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('.color-btn')) {
+            colorBtn = e.target;
+        }
+        if (!colorBtn || colorBtn.disabled) return;
+
+        e.preventDefault();
+        colorBtn.click();
+        setRovingStop(getPickerItems(picker, true), colorBtn);
+        const optionsStop = optionsContainer.querySelector('[tabindex="0"]');
+        if (optionsStop) optionsStop.focus();
+    });
+
+    initializeSwitchScanningControls();
+}
+
+// The part of a screen holding the question being answered: the current question of a test
+function getQuestionPanel(screen) {
+    return screen.querySelector('.test-question:not(.hidden)') || screen;
+}
+
+function initializeKeyboardNavigation(prefix) {
+    const picker = document.getElementById(`${prefix}-color-picker`);
+    const optionsContainer = document.getElementById(`${prefix}-options`);
+
+    if (picker) {
+        refreshRovingStop(getPickerItems(picker, true));
+    }
+    const gridItems = getOptionGridItems(optionsContainer);
+    const firstWord = optionsContainer.querySelector('.word');
+    setRovingStop(gridItems, firstWord || gridItems[0]);
+}
+
+// Buttons in a colour picker, leaving out disabled and hidden ones unless all is set
+function getPickerItems(picker, all = false) {
+    return Array.from(picker.querySelectorAll('button')).filter(button => all || isAvailable(button));
+}
+
+// Every checkbox and word in the options, whether or not it can take focus yet
+function getOptionGridItems(optionsContainer) {
+    return Array.from(optionsContainer.querySelectorAll('input[type="checkbox"], .word'));
+}
+
+// One row per option: its checkbox (once enabled) and then its words
+function getOptionRows(optionsContainer) {
+    return Array.from(optionsContainer.querySelectorAll('.option'))
+        .map(option => [option.querySelector('input'), ...option.querySelectorAll('.word')].filter(isAvailable));
+}
+
+function isAvailable(element) {
+    return !element.disabled && !element.closest('.hidden');
+}
+
+// Only the current item of a group is in the tab order
+function setRovingStop(items, current) {
+    items.forEach(item => item.setAttribute('tabindex', item === current ? '0' : '-1'));
+}
+
+// Move the tab stop off an item that can no longer take focus
+function refreshRovingStop(items) {
+    const current = items.find(item => item.getAttribute('tabindex') === '0');
+    if (!current || !isAvailable(current)) {
+        setRovingStop(items, items.find(isAvailable));
+    }
+}
+
+function moveRovingFocus(items, target) {
+    if (!target) return false;
+    setRovingStop(items, target);
+    target.focus();
+    return true;
+}
+
+function movePickerFocus(picker, current, key) {
+    const items = getPickerItems(picker);
+    const index = items.indexOf(current);
+    const step = key === 'ArrowUp' || key === 'ArrowLeft' ? -1 : 1;
+    return moveRovingFocus(getPickerItems(picker, true), items[(index + step + items.length) % items.length]);
+}
+
+function moveOptionFocus(optionsContainer, current, key) {
+    const rows = getOptionRows(optionsContainer).filter(row => row.length > 0);
+    const rowIndex = rows.findIndex(row => row.includes(current));
+    if (rowIndex === -1) return false;
+
+    const row = rows[rowIndex];
+    const column = row.indexOf(current);
+    let target = null;
+
+    if (key === 'ArrowRight') {
+        target = row[column + 1] || (rows[rowIndex + 1] && rows[rowIndex + 1][0]);
+    } else if (key === 'ArrowLeft') {
+        target = row[column - 1] || (rows[rowIndex - 1] && rows[rowIndex - 1][rows[rowIndex - 1].length - 1]);
+    } else {
+        // Up and down keep the column where the next row is long enough
+        const nextRow = rows[rowIndex + (key === 'ArrowUp' ? -1 : 1)];
+        target = nextRow && nextRow[Math.min(column, nextRow.length - 1)];
+    }
+
+    return moveRovingFocus(getOptionGridItems(optionsContainer), target);
+}
+
+function initializeSwitchScanningControls() {
+    const scanToggle = document.getElementById('scan-toggle');
+    const speedSelect = document.getElementById('scan-speed');
+
+    SCAN_SPEEDS.forEach(speed => {
+        const option = createElement('option', null, t(speed.key));
+        option.value = speed.interval;
+        speedSelect.appendChild(option);
+    });
+
+    scanToggle.addEventListener('change', function() {
+        setPreference('switchScanning', this.checked);
+        syncSwitchScanning();
+    });
+
+    speedSelect.addEventListener('change', function() {
+        setPreference('scanInterval', Number(this.value));
+        syncSwitchScanning();
+    });
+}
+
+// Match the controls and the scanning to the current student's preferences
+function syncSwitchScanning() {
+    document.getElementById('scan-toggle').checked = preferences.switchScanning;
+    document.getElementById('scan-speed').value = preferences.scanInterval;
+
+    stopSwitchScanning();
+    if (preferences.switchScanning) {
+        startSwitchScanning();
+    }
+}
+
+/*
+ * Single-switch scanning highlights groups of controls on the current screen in turn:
+ * the colour picker, each option, then the other buttons. Pressing the switch on a
+ * group steps through its controls, and pressing it again clicks the highlighted one.
+ */
+function startSwitchScanning() {
+    scanState = { timer: null, screen: null, groupIndex: -1, highlighted: [], items: null, itemIndex: -1 };
+    restartScanTimer();
+}
+
+function stopSwitchScanning() {
+    if (!scanState) return;
+    clearInterval(scanState.timer);
+    highlightScanItems([]);
+    scanState = null;
+}
+
+function restartScanTimer() {
+    clearInterval(scanState.timer);
+    scanState.timer = setInterval(advanceScan, preferences.scanInterval);
+    advanceScan();
+}
+
+function advanceScan() {
+    // Start again from the first group on a new screen
+    if (scanState.screen !== currentScreen) {
+        scanState.screen = currentScreen;
+        scanState.groupIndex = -1;
+        scanState.items = null;
     }
 
-    if (demoStopped) { endDemo(); return; }
-    await delay(1200);
+    if (scanState.items) {
+        scanState.itemIndex++;
+        if (scanState.itemIndex < scanState.items.length) {
+            highlightScanItems([scanState.items[scanState.itemIndex]]);
+            return;
+        }
+        // Back out to the groups after a pass without a press
+        scanState.items = null;
+    }
 
-    // Show final answer
-    if (!demoStopped) {
-        resultDiv.innerHTML += '<p style="margin-top: 16px;">Using this strategy the answer is b. Spanish and English.</p>';
-        await speakTextWithPromise('Using this strategy the answer is b. Spanish and English.');
+    const groups = getScanGroups();
+    if (groups.length === 0) {
+        highlightScanItems([]);
+        return;
     }
+    scanState.groupIndex = (scanState.groupIndex + 1) % groups.length;
+    highlightScanItems(groups[scanState.groupIndex]);
+}
 
-    // Check the correct answer
-    if (!demoStopped) {
-        document.getElementById('demo-b').checked = true;
+function pressSwitch() {
+    if (!scanState) return;
+
+    const highlighted = scanState.highlighted;
+    if (!scanState.items && highlighted.length > 1) {
+        // Step into the group
+        scanState.items = highlighted;
+        scanState.itemIndex = -1;
+    } else if (highlighted.length === 1) {
+        scanState.items = null;
+        highlighted[0].click();
     }
+    restartScanTimer();
+}
 
-    endDemo();
+// Groups of controls to scan on the current screen, or just the OK button of an open message
+function getScanGroups() {
+    const screen = document.querySelector('.screen.active');
+    if (!screen) return [];
+
+    const modal = screen.querySelector('.modal-overlay.visible');
+    if (modal) return [[modal.querySelector('button')]];
+
+    const groups = [];
+    const panel = getQuestionPanel(screen);
+    const picker = panel.querySelector('.vertical-color-picker');
+    if (picker) groups.push(getPickerItems(picker));
+
+    const optionsContainer = panel.querySelector('.options-container');
+    if (optionsContainer) groups.push(...getOptionRows(optionsContainer));
+
+    groups.push(Array.from(screen.querySelectorAll('button'))
+        .filter(button => isAvailable(button) && !button.closest('.vertical-color-picker, .modal-overlay')));
+
+    return groups.filter(group => group.length > 0);
 }
 
-function stopDemo() {
-    demoStopped = true;
-    speechSynthesis.cancel();
-    isSpeaking = false;
+function highlightScanItems(items) {
+    document.querySelectorAll('.scan-highlight').forEach(element => element.classList.remove('scan-highlight'));
+    items.forEach(item => item.classList.add('scan-highlight'));
+    if (scanState) scanState.highlighted = items;
+    if (items.length > 0) items[0].scrollIntoView({ block: 'nearest' });
 }
 
-function endDemo() {
-    const startBtn = document.getElementById('start-demo-btn');
-    const stopBtn = document.getElementById('stop-demo-btn');
-    const cursor = document.getElementById('demo-cursor');
+// ============================================
+// Strategy Screens (Strategy 2 onwards)
+// ============================================
 
-    demoRunning = false;
-    cursor.classList.add('hidden');
+// Build every generated screen after Screen 5: the free questions for Strategy 1, then an
+// intro, demo and practice screens for each other strategy.
+// Called again to rebuild the screens when tutors change the bank.
+function initializeLessonScreens() {
+    const plan = getStrategyScreenPlan();
+    const lastQuestionScreen = initializeQuestionScreens(plan.length > 0 ? plan[0].key : null);
+    initializeStrategyScreens(plan, lastQuestionScreen);
+    renderStrategyList();
+}
 
-    startBtn.disabled = false;
-    startBtn.textContent = 'Replay the demo';
+// Ordered list of strategy screens, e.g. { key: 'longest-demo', type: 'demo', strategy, question }
+function getStrategyScreenPlan() {
+    const bank = getQuestionBank();
+    const plan = [];
+
+    STRATEGIES.filter(strategy => !strategy.firstScreen).forEach(strategy => {
+        const questions = bank.filter(q => q.strategy === strategy.id && q.mode === 'tick');
+        const demoQuestion = questions.find(q => q.id === strategy.demoQuestionId);
+
+        plan.push({ key: `${strategy.id}-intro`, type: 'intro', strategy });
+        if (demoQuestion) {
+            plan.push({ key: `${strategy.id}-demo`, type: 'demo', strategy, question: demoQuestion });
+        }
+        questions.filter(q => q !== demoQuestion).forEach((question, i) => {
+            plan.push({ key: `${strategy.id}-practice-${i + 1}`, type: 'practice', strategy, question });
+        });
+    });
+
+    return plan;
+}
+
+function initializeStrategyScreens(plan, previousScreenNum) {
+    // Intro screens have no view, so remove every previously built strategy screen
+    document.querySelectorAll('.strategy-screen').forEach(section => section.remove());
+
+    let previousSection = document.getElementById('screen' + previousScreenNum);
+
+    plan.forEach((entry, i) => {
+        const backScreen = i === 0 ? previousScreenNum : plan[i - 1].key;
+        const nextScreen = i < plan.length - 1 ? plan[i + 1].key : null;
+        let section;
+        let view = null;
+
+        if (entry.type === 'intro') {
+            section = buildStrategyIntroScreen(entry.strategy);
+        } else {
+            view = createQuestionView(entry.question, `screen-${entry.key}`, entry.key);
+            view.strategy = entry.strategy;
+            section = entry.type === 'demo' ? buildStrategyDemoScreen(view) : buildStrategyPracticeScreen(view);
+        }
+
+        section.id = `screen-${entry.key}`;
+        section.classList.add('strategy-screen');
+        section.appendChild(createNavButtons(backScreen, nextScreen));
+        previousSection.after(section);
+        previousSection = section;
+
+        if (view) {
+            if (entry.type === 'practice') initializeQuestionView(view);
+            questionScreens[entry.key] = view;
+        }
+    });
+}
+
+function buildStrategyIntroScreen(strategy) {
+    const section = createElement('section', 'screen');
+    const title = getStrategyTitle(strategy);
+
+    section.appendChild(createElement('h2', null, title));
+    const intro = getStrategyIntro(strategy);
+    section.appendChild(createQuestionLine(intro, 'intro-text', `${title}. ${intro}`, t('strategy.listen')));
+
+    return section;
+}
+
+function buildStrategyDemoScreen(view) {
+    const { question, prefix } = view;
+
+    const section = createElement('section', 'screen question-screen');
+    section.appendChild(createElement('p', 'instruction-text', t('strategy.demoHeading', { title: getStrategyTitle(view.strategy) })));
+
+    const body = document.createElement('div');
+    renderQuestionBody(body, question, prefix);
+    section.appendChild(body);
+
+    const resultDiv = createElement('div', 'result-text hidden');
+    resultDiv.id = `${prefix}-result`;
+    section.appendChild(resultDiv);
+
+    const controls = createElement('div', 'demo-controls');
+    const startBtn = createElement('button', 'action-btn', t('demo.start'));
+    startBtn.id = `${prefix}-start-btn`;
+    startBtn.addEventListener('click', () => startStrategyDemo(view));
+    controls.appendChild(startBtn);
+    const stopBtn = createElement('button', 'action-btn stop-btn', t('common.stop'));
+    stopBtn.id = `${prefix}-stop-btn`;
     stopBtn.disabled = true;
+    stopBtn.addEventListener('click', stopStrategyDemo);
+    controls.appendChild(stopBtn);
+    section.appendChild(controls);
+
+    return section;
 }
 
-async function animateColorSelection(color, word, spokenText) {
-    const cursor = document.getElementById('demo-cursor');
-    const colorBtn = document.querySelector(`#demo-color-picker .color-btn[data-color="${color}"]`);
+function buildStrategyPracticeScreen(view) {
+    const section = createElement('section', 'screen question-screen');
+    section.appendChild(createElement('p', 'instruction-text', `${getStrategyTitle(view.strategy)} - ${view.question.heading}`));
+    buildQuestionPanel(view, section);
+    return section;
+}
 
-    // Speak the instruction
-    await speakTextWithPromise(spokenText);
+async function startStrategyDemo(view) {
+    const startBtn = document.getElementById(`${view.prefix}-start-btn`);
+    const stopBtn = document.getElementById(`${view.prefix}-stop-btn`);
+    const resultDiv = document.getElementById(`${view.prefix}-result`);
 
-    // Get color button position
-    const btnRect = colorBtn.getBoundingClientRect();
+    // Clear the previous run (for replay)
+    resetQuestionView(view);
+    strategyDemoStopped = false;
 
-    // Move cursor to color button
-    cursor.style.left = (btnRect.left + btnRect.width / 2) + 'px';
-    cursor.style.top = (btnRect.top + btnRect.height / 2) + 'px';
+    startBtn.disabled = true;
+    startBtn.textContent = t('demo.inProgress');
+    stopBtn.disabled = false;
+    resultDiv.classList.remove('hidden');
 
-    await delay(800);
+    await speakTextWithPromise(view.question.prompts.stem);
+    await playStrategySteps(view, () => strategyDemoStopped);
 
-    // Simulate click on color button
-    colorBtn.classList.add('selected');
-    await delay(300);
-    colorBtn.classList.remove('selected');
+    // Tick the correct answer
+    if (!strategyDemoStopped) {
+        document.getElementById(`${view.prefix}-${view.question.correct}`).checked = true;
+    }
 
-    // Find and highlight the word
-    const words = document.querySelectorAll(`#demo-options .word[data-word="${word}"]`);
+    startBtn.disabled = false;
+    startBtn.textContent = t('demo.replay');
+    stopBtn.disabled = true;
+}
 
-    for (const wordEl of words) {
-        const wordRect = wordEl.getBoundingClientRect();
+function stopStrategyDemo() {
+    strategyDemoStopped = true;
+    stopSpeech();
+}
 
-        // Move cursor to word
-        cursor.style.left = (wordRect.left + wordRect.width / 2) + 'px';
-        cursor.style.top = (wordRect.top + wordRect.height / 2) + 'px';
+// Speak each step of the question's strategy analysis into the result div, flashing the
+// options a step mentions and crossing out the ones it eliminates
+async function playStrategySteps(view, isStopped = () => false) {
+    const resultDiv = document.getElementById(`${view.prefix}-result`);
 
-        await delay(600);
+    for (const step of view.question.strategyAnalysis.steps) {
+        if (isStopped()) return;
 
-        // Highlight the word
-        wordEl.style.backgroundColor = color;
-        wordEl.classList.add('highlighted');
+        resultDiv.appendChild(createElement('p', null, step.text));
+        const optionEls = (step.optionIds || []).map(id => getOptionElement(view, id));
+        optionEls.forEach(el => el.classList.add('flash'));
+
+        const finished = await speakTextWithPromise(step.text);
 
+        optionEls.forEach(el => el.classList.remove('flash'));
+        if (finished === 'cancelled') return;
+        (step.eliminate || []).forEach(id => getOptionElement(view, id).classList.add('eliminated'));
         await delay(300);
     }
+
+    // Final explanation
+    if (view.question.explanation && !isStopped()) {
+        const finalText = createElement('p', 'strategy-answer', view.question.explanation);
+        resultDiv.appendChild(finalText);
+        await speakTextWithPromise(view.question.explanation);
+    }
+}
+
+function getOptionElement(view, optionId) {
+    return document.getElementById(`${view.prefix}-${optionId}`).closest('.option');
+}
+
+// Screen 1 list of strategies, each jumping to its first screen
+function renderStrategyList() {
+    const list = document.getElementById('strategy-list');
+    list.innerHTML = '';
+
+    STRATEGIES.forEach(strategy => {
+        const item = document.createElement('li');
+        const link = createElement('button', 'strategy-link', getStrategyTitle(strategy));
+        link.addEventListener('click', () => goToScreen(strategy.firstScreen || `${strategy.id}-intro`));
+        item.appendChild(link);
+        list.appendChild(item);
+    });
 }
 
 // ============================================
-// Screen 5 - Practice Interactive (User-Driven)
+// Adaptive Practice
 // ============================================
 
-// Track word colors for results display
-let wordColorMap = {};
-
-function initializePracticeColorPicker() {
-    const colorButtons = document.querySelectorAll('.practice-color');
-    const practiceWords = document.querySelectorAll('#practice-options .word');
-    const practiceCheckboxes = document.querySelectorAll('input[name="practice-answer"]');
+// How many of the student's latest answers decide whether the next question is supported
+const ADAPTIVE_RECENT_ATTEMPTS = 5;
+// Share of those that must be fully right (answer and colour coding) to go without support
+const ADAPTIVE_FREE_ACCURACY = 0.8;
+// Answers to wait before a missed question comes back, by how many times it has been right since.
+// Once it has been right this many times it is not reviewed again.
+const REVIEW_GAPS = [1, 3, 6];
+
+function openAdaptivePractice() {
+    goToScreen('adaptive');
+    showNextAdaptiveQuestion();
+}
 
-    // Count total words to highlight
-    totalWordsToHighlight = practiceWords.length;
+// Questions adaptive practice draws from: the guided and colour coding questions of the bank
+function getAdaptiveQuestions() {
+    return getQuestionBank().filter(question => question.mode === 'guided' || question.mode === 'free');
+}
 
-    // Disable checkboxes initially - they should only be enabled after highlighting is complete
-    practiceCheckboxes.forEach(checkbox => {
-        checkbox.disabled = true;
+// Pick the next question from the student's answers and show it
+async function showNextAdaptiveQuestion() {
+    const previous = questionScreens.adaptive;
+    const panel = document.getElementById('adaptive-panel');
+    const reason = document.getElementById('adaptive-reason');
+
+    // Wait for the answer just given to be recorded so it counts
+    if (previous && previous.lastAttempt) await previous.lastAttempt;
+    const attempts = await getAttempts(activeProfile).catch(error => {
+        console.error('Could not load attempts:', error);
+        return [];
     });
 
-    // Make checkboxes function as radio buttons (when enabled)
-    practiceCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', function() {
-            if (this.checked) {
-                // Uncheck all other checkboxes
-                practiceCheckboxes.forEach(cb => {
-                    if (cb !== this) {
-                        cb.checked = false;
-                    }
-                });
+    const choice = chooseAdaptiveQuestion(getAdaptiveQuestions(), attempts, previous && previous.question.id);
+    panel.innerHTML = '';
+    if (!choice) {
+        reason.textContent = t('adaptive.empty');
+        return;
+    }
 
-                // Show check answers button
-                document.getElementById('check-answers-btn').classList.remove('hidden');
-            }
-        });
+    const view = createQuestionView(prepareAdaptiveQuestion(choice.question, choice.supported), 'adaptive', 'adaptive');
+    view.minAssistLevel = choice.supported ? 'offer' : null;
+    buildQuestionPanel(view, panel);
+    initializeQuestionView(view);
+    questionScreens.adaptive = view;
+
+    const lines = [];
+    if (choice.review) lines.push(t('adaptive.review'));
+    lines.push(t(choice.supported ? 'adaptive.supported' : 'adaptive.free'));
+    reason.textContent = lines.join(' ');
+    announce(reason.textContent);
+}
+
+/*
+ * Choose the next question and whether to support it:
+ * - supported (a colour for each word, like Screen 5, and matching words offered) while the student is
+ *   starting out, just got one wrong or got fewer than ADAPTIVE_FREE_ACCURACY of their latest answers right
+ * - a missed question that is due again comes first (review), otherwise the question answered least
+ *   often and longest ago, avoiding the one just answered
+ * Returns { question, supported, review }, or null if there are no questions.
+ */
+function chooseAdaptiveQuestion(questions, attempts, lastQuestionId) {
+    if (questions.length === 0) return null;
+
+    const questionIds = questions.map(question => question.id);
+    const relevant = attempts.filter(attempt => isAttemptChecked(attempt) && questionIds.includes(attempt.questionId));
+    const recent = relevant.slice(-ADAPTIVE_RECENT_ATTEMPTS);
+    const accuracy = recent.filter(isAttemptRight).length / Math.max(recent.length, 1);
+    const lastWrong = recent.length > 0 && !isAttemptRight(recent[recent.length - 1]);
+    const supported = recent.length === 0 || lastWrong || accuracy < ADAPTIVE_FREE_ACCURACY;
+
+    const candidates = questions.length > 1 ? questions.filter(question => question.id !== lastQuestionId) : questions;
+    const due = getDueReviews(candidates, relevant);
+    if (due.length > 0) {
+        return { question: due[0], supported, review: true };
+    }
+
+    const lastSeen = id => relevant.map(attempt => attempt.questionId).lastIndexOf(id);
+    const timesAnswered = id => relevant.filter(attempt => attempt.questionId === id).length;
+    const [question] = candidates.slice().sort((a, b) =>
+        timesAnswered(a.id) - timesAnswered(b.id) || lastSeen(a.id) - lastSeen(b.id));
+    return { question, supported, review: false };
+}
+
+// Right answer and, for colour coding questions, right colour coding
+function isAttemptRight(attempt) {
+    return attempt.answerCorrect && attempt.colorCodingCorrect !== false;
+}
+
+// Missed questions whose wait (see REVIEW_GAPS) is over, the longest overdue first
+function getDueReviews(questions, attempts) {
+    return questions
+        .map(question => {
+            const indexes = attempts.map((attempt, i) => attempt.questionId === question.id ? i : -1).filter(i => i !== -1);
+            const misses = indexes.filter(i => !isAttemptRight(attempts[i]));
+            if (misses.length === 0) return null;
+
+            const timesRightSince = indexes.filter(i => i > misses[misses.length - 1]).length;
+            if (timesRightSince >= REVIEW_GAPS.length) return null;
+
+            const answersSince = attempts.length - 1 - indexes[indexes.length - 1];
+            const overdue = answersSince - REVIEW_GAPS[timesRightSince];
+            return overdue >= 0 ? { question, overdue } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.overdue - a.overdue)
+        .map(entry => entry.question);
+}
+
+// Show a question as a free colour coding question, with a colour for each word when supported
+function prepareAdaptiveQuestion(question, supported) {
+    const palette = supported ? getWordPalette(question) : DEFAULT_FREE_PALETTE.map(color => ({ color }));
+    return { ...question, mode: 'free', palette };
+}
+
+// One highlight colour per term, most frequent first, or the author's palette when it already names the
+// words (the guided question). Questions with more terms than colours keep the free palette.
+function getWordPalette(question) {
+    if (question.palette.every(entry => entry.word)) return question.palette;
+
+    const { terms } = question.analysis;
+    if (terms.length > HIGHLIGHT_COLORS.length) return DEFAULT_FREE_PALETTE.map(color => ({ color }));
+    return terms.map((term, i) => ({ color: HIGHLIGHT_COLORS[i].color, word: term.label, term: term.key }));
+}
+
+// ============================================
+// Test Mode
+// ============================================
+
+// Choices on the test screen: number of questions (0 is every question) and minutes (0 is no limit)
+const TEST_LENGTHS = [5, 10, 0];
+const TEST_TIME_LIMITS = [0, 5, 10, 15, 20];
+// Seconds left when the time remaining is read out
+const TEST_TIME_WARNINGS = [300, 60, 30];
+
+/*
+ * testState while a test is on the screen:
+ * {
+ *     views: [...],        // question view of each question, in order (prefix 'test-1', ...)
+ *     current: 0,          // index of the question shown
+ *     endsAt: null,        // Date.now() the time runs out, null without a time limit
+ *     timer: null,         // interval updating the time left
+ *     warningsGiven: [],   // entries of TEST_TIME_WARNINGS already read out
+ *     finished: false
+ * }
+ */
+function initializeTestMode() {
+    const timeSelect = document.getElementById('test-time');
+
+    timeSelect.innerHTML = '';
+    TEST_TIME_LIMITS.forEach(minutes => {
+        const option = createElement('option', null, minutes === 0 ? t('test.noLimit') : t('test.minutes', { count: minutes }));
+        option.value = minutes;
+        timeSelect.appendChild(option);
     });
+}
 
-    // Color button click - select color and speak instruction
-    colorButtons.forEach(btn => {
-        btn.addEventListener('click', function() {
-            if (this.disabled || isSpeaking) return;
+// Built each time the test is opened, as tutors may have added questions since
+function renderTestLengths() {
+    const lengthSelect = document.getElementById('test-length');
+    const previous = lengthSelect.value;
+    const bankSize = getTestQuestions().length;
+
+    lengthSelect.innerHTML = '';
+    TEST_LENGTHS.filter(length => length < bankSize).forEach(length => {
+        const option = createElement('option', null, length === 0 ? t('test.allQuestions', { count: bankSize }) : String(length));
+        option.value = length;
+        lengthSelect.appendChild(option);
+    });
 
-            const color = this.dataset.color;
-            const word = this.dataset.word;
+    if ([...lengthSelect.options].some(option => option.value === previous)) {
+        lengthSelect.value = previous;
+    }
+}
 
-            // Remove selected class from all color buttons
-            colorButtons.forEach(b => b.classList.remove('selected'));
+// Questions a test can draw from: the colour coding and strategy questions of the bank
+function getTestQuestions() {
+    return getQuestionBank().filter(question => question.mode === 'free' || question.mode === 'tick');
+}
 
-            // Add selected class to this button
-            this.classList.add('selected');
+function openTest() {
+    showTestSetup();
+    goToScreen('test');
+}
 
-            // Store selected color and word
-            selectedPracticeColor = color;
-            selectedPracticeWord = word;
+function showTestSetup() {
+    renderTestLengths();
+    document.getElementById('test-setup').classList.remove('hidden');
+    document.getElementById('test-run').classList.add('hidden');
+    document.getElementById('test-results').classList.add('hidden');
+    document.getElementById('test-questions').innerHTML = '';
+}
 
-            // Store color mapping for this word
-            wordColorMap[word] = color;
+function startTest() {
+    const length = Number(document.getElementById('test-length').value);
+    const minutes = Number(document.getElementById('test-time').value);
+    const questions = shuffle(getTestQuestions()).slice(0, length || undefined);
+    const container = document.getElementById('test-questions');
+    container.innerHTML = '';
+
+    const views = questions.map((question, i) => {
+        const view = createQuestionView(question, `test-${i + 1}`, 'test');
+        view.testMode = true;
+
+        const panel = createElement('div', 'test-question hidden');
+        panel.appendChild(createElement('p', 'instruction-text', question.heading));
+        buildQuestionPanel(view, panel);
+        container.appendChild(panel);
+        initializeQuestionView(view);
+        return view;
+    });
 
-            // Speak instruction
-            speakText(`Highlight the word ${word} with ${getColorName(color)}.`);
-        });
+    testState = {
+        views,
+        current: 0,
+        endsAt: minutes ? Date.now() + minutes * 60000 : null,
+        timer: null,
+        warningsGiven: TEST_TIME_WARNINGS.filter(seconds => seconds >= minutes * 60),
+        finished: false
+    };
+
+    document.getElementById('test-setup').classList.add('hidden');
+    document.getElementById('test-run').classList.remove('hidden');
+    document.getElementById('test-timer').classList.toggle('hidden', !testState.endsAt);
+    if (testState.endsAt) {
+        testState.timer = setInterval(updateTestTimer, 1000);
+        updateTestTimer();
+    }
+    showTestQuestion(0);
+}
+
+function showTestQuestion(index) {
+    const { views } = testState;
+    if (index < 0 || index >= views.length) return;
+
+    closeQuestionModalSilent(views[testState.current]);
+    testState.current = index;
+    document.querySelectorAll('#test-questions .test-question').forEach((panel, i) => {
+        panel.classList.toggle('hidden', i !== index);
     });
+    views[index].startedAt = Date.now();
 
-    // Word click - highlight if color is selected and word matches
-    practiceWords.forEach((wordEl, index) => {
-        // Make words clickable
-        wordEl.style.cursor = 'pointer';
-        wordEl.setAttribute('tabindex', '0');
-        wordEl.setAttribute('role', 'button');
+    const progress = t('test.progress', { number: index + 1, total: views.length });
+    document.getElementById('test-progress').textContent = progress;
+    document.getElementById('test-previous-btn').classList.toggle('hidden', index === 0);
+    document.getElementById('test-next-btn').classList.toggle('hidden', index === views.length - 1);
+    announce(progress);
+}
 
-        const handleWordClick = function() {
-            // Check if a color is selected
-            if (!selectedPracticeColor || !selectedPracticeWord) {
-                speakText('Please select a colour from the colour picker first.');
-                return;
-            }
+// Question being answered, for the keyboard shortcuts
+function getCurrentTestView() {
+    if (currentScreen !== 'test' || !testState || testState.finished) return null;
+    return testState.views[testState.current];
+}
 
-            // Check if this word is already highlighted
-            const wordId = `${wordEl.dataset.word}-${index}`;
-            if (highlightedWords.has(wordId)) {
-                return; // Already highlighted
-            }
+// Show the time left, reading out the warnings and finishing the test when it runs out
+function updateTestTimer() {
+    const secondsLeft = Math.max(0, Math.ceil((testState.endsAt - Date.now()) / 1000));
+    const timerEl = document.getElementById('test-timer');
+    timerEl.textContent = t('test.timeLeft', { time: formatTestTime(secondsLeft) });
+    timerEl.classList.toggle('running-out', secondsLeft <= 60);
 
-            const clickedWord = wordEl.dataset.word;
+    if (secondsLeft === 0) {
+        speak(t('test.timeUp'), { priority: 'high' });
+        finishTest();
+        return;
+    }
 
-            // Check if the clicked word matches the expected word for the selected color
-            if (clickedWord === selectedPracticeWord) {
-                // Correct! Highlight this word
-                wordEl.style.backgroundColor = selectedPracticeColor;
-                wordEl.classList.add('highlighted');
-                highlightedWords.add(wordId);
+    // Only the latest warning reached, e.g. "1 minute left" rather than "5 minutes left" too
+    const warning = TEST_TIME_WARNINGS
+        .filter(seconds => secondsLeft <= seconds && !testState.warningsGiven.includes(seconds))
+        .pop();
+    if (warning) {
+        testState.warningsGiven = TEST_TIME_WARNINGS.filter(seconds => seconds >= warning);
+        speak(describeTimeLeft(warning), { priority: 'high' });
+    }
+}
 
-                // Check if all instances of this word are highlighted
-                const allInstancesOfWord = document.querySelectorAll(`#practice-options .word[data-word="${clickedWord}"]`);
-                let allHighlighted = true;
-                allInstancesOfWord.forEach((w, i) => {
-                    const wId = `${w.dataset.word}-${Array.from(practiceWords).indexOf(w)}`;
-                    if (!highlightedWords.has(wId)) {
-                        allHighlighted = false;
-                    }
-                });
+function describeTimeLeft(seconds) {
+    if (seconds < 60) return t('test.warningSeconds', { count: seconds });
+    return seconds === 60 ? t('test.warningOneMinute') : t('test.warningMinutes', { count: seconds / 60 });
+}
 
-                // If all instances of this word are highlighted, disable the color button
-                if (allHighlighted) {
-                    const colorBtn = document.querySelector(`.practice-color[data-word="${clickedWord}"]`);
-                    if (colorBtn) {
-                        colorBtn.disabled = true;
-                        colorBtn.classList.remove('selected');
-                    }
-                    // Clear selection
-                    selectedPracticeColor = null;
-                    selectedPracticeWord = null;
-                }
+// 75 -> "1:15"
+function formatTestTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
-                // Check if all words have been highlighted
-                if (highlightedWords.size >= totalWordsToHighlight) {
-                    setTimeout(() => {
-                        // Show strategy instruction
-                        document.getElementById('strategy-instruction').classList.remove('hidden');
+function stopTestTimer() {
+    clearInterval(testState.timer);
+    testState.timer = null;
+}
 
-                        // Enable checkboxes now that highlighting is complete
-                        const checkboxes = document.querySelectorAll('input[name="practice-answer"]');
-                        checkboxes.forEach(cb => {
-                            cb.disabled = false;
-                        });
-                    }, 500);
-                }
-            } else {
-                // Wrong word - give feedback
-                speakText(`That's ${clickedWord}. Please highlight ${selectedPracticeWord}.`);
-            }
-        };
+// Check every answer, record the answered ones and show the results with their explanations
+function finishTest() {
+    if (!testState || testState.finished) return;
+    stopTestTimer();
+    testState.finished = true;
+    closeQuestionModalSilent(testState.views[testState.current]);
+
+    const results = testState.views.map(view => {
+        const { chosen, answerCorrect, colorCodingFinished, colorProblems } = evaluateQuestionAnswer(view);
+        const colorCodingCorrect = colorCodingFinished && colorProblems.length === 0;
+        if (chosen) {
+            recordQuestionAttempt(view, chosen, answerCorrect, colorCodingCorrect);
+        }
+        return { view, chosen, answerCorrect, colorCodingFinished, colorCodingCorrect };
+    });
+
+    document.getElementById('test-run').classList.add('hidden');
+    renderTestResults(results);
+}
+
+function renderTestResults(results) {
+    const resultsEl = document.getElementById('test-results');
+    resultsEl.innerHTML = '';
+    resultsEl.classList.remove('hidden');
+
+    const correctCount = results.filter(result => result.answerCorrect).length;
+    const score = t('test.score', { correct: correctCount, total: results.length });
+    resultsEl.appendChild(createElement('p', 'test-score', score));
+
+    results.forEach((result, i) => {
+        const { view } = result;
+        const item = createElement('div', `test-result ${result.answerCorrect ? 'correct' : 'wrong'}`);
+
+        const lines = [describeTestResult(result, i + 1)];
+        if (view.question.mode === 'free') {
+            lines.push(!result.colorCodingFinished ? t('test.colourCodingUnfinished')
+                : result.colorCodingCorrect ? t('test.colourCodingRight') : t('test.colourCodingMixedUp'));
+        }
+        lines.push(...getTestExplanation(view));
 
-        wordEl.addEventListener('click', handleWordClick);
-        wordEl.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                handleWordClick();
-            }
-        });
+        const heading = createQuestionLine(lines[0], 'test-result-heading', lines.join(' '), t('test.listen'));
+        item.appendChild(heading);
+        item.appendChild(createElement('p', 'test-result-stem', view.question.stem));
+        lines.slice(1).forEach(line => item.appendChild(createElement('p', null, line)));
+        resultsEl.appendChild(item);
+    });
+
+    const againBtn = createElement('button', 'action-btn', t('test.again'));
+    againBtn.addEventListener('click', () => {
+        testState = null;
+        showTestSetup();
     });
+    resultsEl.appendChild(againBtn);
+
+    resultsEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    speak(score);
 }
 
-function getColorName(hex) {
-    const colorNames = {
-        '#f5d3ed': 'pink',
-        '#dcf5d3': 'green',
-        '#f6f7b9': 'yellow',
-        '#c5c5c5': 'grey',
-        '#cee6ff': 'blue',
-        '#9abecc': 'teal',
-        '#f9a2a2': 'red'
-    };
-    return colorNames[hex] || 'this colour';
+function describeTestResult(result, number) {
+    const correct = result.view.question.correct;
+    if (result.answerCorrect) return t('test.questionCorrect', { number });
+    if (!result.chosen) return t('test.questionUnanswered', { number, correct });
+    return t('test.questionWrong', { number, chosen: result.chosen, correct });
 }
 
-async function checkPracticeAnswers() {
-    const checkBtn = document.getElementById('check-answers-btn');
-    checkBtn.disabled = true;
+// The explanation a question gives in the lessons: the term counts with the student's colours
+// for colour coding questions, the strategy steps for the others
+function getTestExplanation(view) {
+    const { question } = view;
+    const lines = question.mode === 'free'
+        ? question.analysis.terms.map(term => describeTestTermCount(view, term))
+        : question.strategyAnalysis.steps.map(step => step.text);
 
-    const resultDiv = document.getElementById('practice-result');
-    resultDiv.classList.remove('hidden');
-    resultDiv.innerHTML = '';
+    if (question.explanation) lines.push(question.explanation);
+    return lines;
+}
 
-    // Word data: word name, count, color, color name (using new pastel colors)
-    const wordData = [
-        { word: 'Id', count: 3, color: '#f5d3ed', colorName: 'pink' },
-        { word: 'Ego', count: 3, color: '#dcf5d3', colorName: 'green' },
-        { word: 'Superego', count: 2, color: '#f9a2a2', colorName: 'red' },
-        { word: 'Conscious', count: 1, color: '#f6f7b9', colorName: 'yellow' },
-        { word: 'Unconscious', count: 1, color: '#c5c5c5', colorName: 'grey' },
-        { word: 'Aware', count: 1, color: '#cee6ff', colorName: 'blue' },
-        { word: 'Brain', count: 1, color: '#9abecc', colorName: 'teal' }
-    ];
+// The frequency count with the student's colour for the term, or saying they left it uncoloured
+function describeTestTermCount(view, term) {
+    const color = getTermColor(view, term.key);
+    if (color) return describeTermCount(term, getColorName(color));
 
-    // Process each word
-    for (const data of wordData) {
-        const resultText = data.count === 1
-            ? `There is ${data.count} answer that is coloured ${data.colorName} for ${data.word}.`
-            : `There are ${data.count} answers that are coloured ${data.colorName} for ${data.word}.`;
+    const params = { count: term.count, term: term.label };
+    return t(term.count === 1 ? 'test.termCountUncolouredOne' : 'test.termCountUncolouredMany', params);
+}
 
-        // Add to result div
-        const p = document.createElement('p');
-        p.innerHTML = resultText;
-        resultDiv.appendChild(p);
+// Colour the student gave the first word of a term, null if it is not coloured
+function getTermColor(view, termKey) {
+    const words = Array.from(document.querySelectorAll(`#${view.prefix}-options .word`));
+    const index = words.findIndex(wordEl => wordEl.dataset.term === termKey);
+    return view.wordColors[index] || null;
+}
 
-        // Speak the result
-        await speakTextWithPromise(resultText);
+// Give up the test when the student leaves the test screen
+function abandonTest() {
+    stopTestTimer();
+    testState = null;
+    showTestSetup();
+}
 
-        // Flash the words
-        const words = document.querySelectorAll(`#practice-options .word[data-word="${data.word}"]`);
-        words.forEach(w => {
-            w.classList.add('flash');
-        });
-        await delay(1200);
-        words.forEach(w => w.classList.remove('flash'));
+// Copy of items in random order
+function shuffle(items) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
 
-        await delay(300);
+// ============================================
+// Progress Tracking
+// ============================================
+
+const PROGRESS_DB_NAME = 'dyslexiaAid';
+const PROGRESS_DB_VERSION = 1;
+const ATTEMPTS_STORE = 'attempts';
+
+/*
+ * Attempt record, one per checked answer, or one for hints taken before the first check:
+ * {
+ *     id: 1,                       // assigned by IndexedDB
+ *     profile: 'Student',          // student profile the attempt belongs to
+ *     questionId: 'planets-closest',
+ *     strategy: 'frequency',
+ *     chosen: 'a',
+ *     answerCorrect: false,
+ *     colorCodingCorrect: true,    // null for tick questions, which are not colour coded
+ *     tries: 1,                    // this was the student's nth check since opening the question,
+ *                                  // 0 (with chosen and answerCorrect null) until hints are checked
+ *     timeTaken: 42000,            // milliseconds since the question was opened
+ *     hintsUsed: 0,                // hints given on the question so far, updated by later hints
+ *     explanationNeeded: false,    // set when the student asks for the explanation afterwards
+ *     timestamp: 1700000000000
+ * }
+ */
+function openProgressDatabase() {
+    if (!progressDatabase) {
+        progressDatabase = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(PROGRESS_DB_NAME, PROGRESS_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(ATTEMPTS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('profile', 'profile');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
+    return progressDatabase;
+}
 
-    // Check the correct answer (d) BEFORE the final speech
-    const practiceCheckboxes = document.querySelectorAll('input[name="practice-answer"]');
-    practiceCheckboxes.forEach(cb => cb.checked = false);
-    document.getElementById('practice-d').checked = true;
+// Run one request against the attempts store and resolve with its result
+async function requestAttempts(mode, makeRequest) {
+    const db = await openProgressDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(ATTEMPTS_STORE, mode).objectStore(ATTEMPTS_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    // Add final explanation
-    const finalText = document.createElement('p');
-    finalText.style.marginTop = '16px';
-    finalText.style.fontWeight = 'bold';
-    finalText.innerHTML = 'Based on the strategy, the answer is d as the words Id, Ego, and Superego appear most frequently across the options.';
-    resultDiv.appendChild(finalText);
+function addAttempt(attempt) {
+    return requestAttempts('readwrite', store => store.add(attempt));
+}
 
-    await speakTextWithPromise('Based on the strategy, the answer is d as the words Id, Ego, and Superego appear most frequently across the options.');
+async function updateAttempt(id, changes) {
+    const attempt = await requestAttempts('readonly', store => store.get(id));
+    return requestAttempts('readwrite', store => store.put({ ...attempt, ...changes }));
+}
 
-    // Show congratulations
-    const congratsBox = document.getElementById('congratulations-box');
-    congratsBox.classList.remove('hidden');
+// Attempts of one student, oldest first
+function getAttempts(profile) {
+    return requestAttempts('readonly', store => store.index('profile').getAll(profile));
+}
 
-    // Scroll to congratulations
-    congratsBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+function getAllAttempts() {
+    return requestAttempts('readonly', store => store.getAll());
+}
 
-    checkBtn.disabled = false;
+// False for the record of hints taken without checking, which is not an answer
+function isAttemptChecked(attempt) {
+    return attempt.tries > 0;
 }
 
-// ============================================
-// Utility Functions
-// ============================================
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Start timing a fresh visit to a question screen
+function startQuestionVisit(view) {
+    view.startedAt = Date.now();
+    view.tries = 0;
+    view.lastAttempt = null;
 }
 
-// Handle page visibility for speech synthesis
-document.addEventListener('visibilitychange', function() {
-    if (document.hidden) {
-        speechSynthesis.pause();
-    } else {
-        speechSynthesis.resume();
+function recordQuestionAttempt(view, chosen, answerCorrect, colorCodingCorrect) {
+    // The first check fills in the record of any hints taken before it
+    const hintRecord = view.tries === 0 ? view.lastAttempt : null;
+    view.tries++;
+
+    const attempt = createAttemptRecord(view, chosen, answerCorrect, view.question.mode === 'tick' ? null : colorCodingCorrect);
+    const saved = hintRecord
+        ? hintRecord.then(id => id === null ? addAttempt(attempt) : updateAttempt(id, attempt))
+        : addAttempt(attempt);
+    view.lastAttempt = saved.catch(error => {
+        console.error('Could not record attempt:', error);
+        return null;
+    });
+}
+
+function createAttemptRecord(view, chosen, answerCorrect, colorCodingCorrect) {
+    return {
+        profile: activeProfile,
+        questionId: view.question.id,
+        strategy: view.question.strategy,
+        chosen,
+        answerCorrect,
+        colorCodingCorrect,
+        tries: view.tries,
+        timeTaken: Date.now() - view.startedAt,
+        hintsUsed: view.hintsUsed,
+        explanationNeeded: false,
+        timestamp: Date.now()
+    };
+}
+
+function markExplanationNeeded(view) {
+    updateLastAttempt(view, { explanationNeeded: true });
+}
+
+function markHintUsed(view) {
+    if (view.lastAttempt) {
+        updateLastAttempt(view, { hintsUsed: view.hintsUsed });
+        return;
     }
-});
 
-// Cleanup on page unload
-window.addEventListener('beforeunload', function() {
-    speechSynthesis.cancel();
-});
+    // Nothing checked yet, so keep the hints in a record of their own
+    view.lastAttempt = addAttempt(createAttemptRecord(view, null, null, null)).catch(error => {
+        console.error('Could not record hint:', error);
+        return null;
+    });
+}
+
+function updateLastAttempt(view, changes) {
+    if (!view.lastAttempt) return;
+
+    view.lastAttempt
+        .then(id => id !== null && updateAttempt(id, changes))
+        .catch(error => console.error('Could not update attempt:', error));
+}
 
 // ============================================
-// Screen 6 - Planet Question Interactive
+// Student History (Tutor)
 // ============================================
 
-function initializeScreen6() {
-    const colorButtons = document.querySelectorAll('.s6-color');
-    const eraserBtn = document.getElementById('screen6-eraser');
-    const screen6Words = document.querySelectorAll('#screen6-options .s6-word');
-    const screen6Checkboxes = document.querySelectorAll('input[name="screen6-answer"]');
+async function renderStudentHistory() {
+    const profileSelect = document.getElementById('history-profile');
+    const summary = document.getElementById('history-summary');
+    const table = document.getElementById('history-table');
+
+    // Students with saved preferences or recorded attempts
+    let attempts = [];
+    try {
+        attempts = await getAllAttempts();
+    } catch (error) {
+        console.error('Could not load attempts:', error);
+        summary.textContent = 'Progress could not be loaded in this browser.';
+        return;
+    }
 
-    // Color button click - select color
-    colorButtons.forEach(btn => {
-        btn.addEventListener('click', function() {
-            if (isSpeaking) return;
+    const profiles = new Set(getProfileNames());
+    attempts.forEach(attempt => profiles.add(attempt.profile));
+    const selected = profileSelect.value || activeProfile;
 
-            // Remove selected class from all buttons including eraser
-            colorButtons.forEach(b => b.classList.remove('selected'));
-            eraserBtn.classList.remove('selected');
+    profileSelect.innerHTML = '';
+    Array.from(profiles).sort((a, b) => a.localeCompare(b)).forEach(name => {
+        const option = createElement('option', null, name);
+        option.value = name;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = profiles.has(selected) ? selected : activeProfile;
+
+    const assistSelect = document.getElementById('history-assist');
+    if (assistSelect.options.length === 0) {
+        COLOR_ASSIST_LEVELS.forEach(level => {
+            const option = createElement('option', null, t(`assist.level.${level}`));
+            option.value = level;
+            assistSelect.appendChild(option);
+        });
+    }
+    assistSelect.value = getProfilePreferences(profileSelect.value).colorAssist;
 
-            // Add selected class to this button
-            this.classList.add('selected');
+    const studentAttempts = attempts.filter(attempt => attempt.profile === profileSelect.value);
+    summary.textContent = describeHistory(studentAttempts);
+    renderHistoryTable(table, studentAttempts);
+}
 
-            // Store selected color and exit eraser mode
-            screen6SelectedColor = this.dataset.color;
-            screen6EraserMode = false;
-        });
-    });
+function describeHistory(attempts) {
+    if (attempts.length === 0) return 'No answers recorded yet.';
 
-    // Eraser button click
-    eraserBtn.addEventListener('click', function() {
-        if (isSpeaking) return;
+    const checked = attempts.filter(isAttemptChecked);
+    if (checked.length === 0) return 'Hints taken, but no answers checked yet.';
 
-        // Remove selected class from all color buttons
-        colorButtons.forEach(b => b.classList.remove('selected'));
+    const questions = new Set(checked.map(attempt => attempt.questionId));
+    const firstTries = attempts.filter(attempt => attempt.tries === 1);
+    const firstTryCorrect = firstTries.filter(attempt => attempt.answerCorrect).length;
+    return `${checked.length} answer${checked.length === 1 ? '' : 's'} checked across ${questions.size} question${questions.size === 1 ? '' : 's'}. ` +
+        `Correct on the first try: ${firstTryCorrect} of ${firstTries.length}.`;
+}
+
+function renderHistoryTable(table, attempts) {
+    table.innerHTML = '';
+    if (attempts.length === 0) return;
 
-        // Toggle eraser selection
-        this.classList.add('selected');
-        screen6EraserMode = true;
-        screen6SelectedColor = null;
+    const headRow = document.createElement('tr');
+    ['When', 'Question', 'Strategy', 'Answer', 'Colour coding', 'Try', 'Time', 'Hints', 'Explanation'].forEach(heading => {
+        headRow.appendChild(createElement('th', null, heading));
+    });
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    attempts.slice().reverse().forEach(attempt => {
+        const row = document.createElement('tr');
+        [
+            new Date(attempt.timestamp).toLocaleString(),
+            getQuestionStem(attempt.questionId),
+            getStrategyName(attempt.strategy),
+            describeAnswer(attempt),
+            isAttemptChecked(attempt) ? describeColorCoding(attempt.colorCodingCorrect) : '',
+            isAttemptChecked(attempt) ? String(attempt.tries) : '',
+            `${Math.round(attempt.timeTaken / 1000)}s`,
+            attempt.hintsUsed ? String(attempt.hintsUsed) : '',
+            attempt.explanationNeeded ? 'Needed' : ''
+        ].forEach(text => row.appendChild(createElement('td', null, text)));
+        if (isAttemptChecked(attempt)) {
+            row.classList.add(attempt.answerCorrect ? 'history-correct' : 'history-wrong');
+        }
+        body.appendChild(row);
     });
+    table.appendChild(body);
+}
 
-    // Word click - highlight or erase
-    screen6Words.forEach((wordEl, index) => {
-        wordEl.style.cursor = 'pointer';
-        wordEl.setAttribute('tabindex', '0');
-        wordEl.setAttribute('role', 'button');
+function describeAnswer(attempt) {
+    if (!isAttemptChecked(attempt)) return 'Not checked';
+    return `${attempt.chosen} (${attempt.answerCorrect ? 'correct' : 'wrong'})`;
+}
 
-        const handleWordClick = function(e) {
-            // Stop propagation and prevent default to stop checkbox from being triggered
-            e.stopPropagation();
-            e.preventDefault();
+function describeColorCoding(colorCodingCorrect) {
+    if (colorCodingCorrect === null) return 'Not coded';
+    return colorCodingCorrect ? 'Correct' : 'A bit mixed up';
+}
 
-            if (isSpeaking) return;
+// ============================================
+// Tutor Dashboard and Reports
+// ============================================
 
-            if (screen6EraserMode) {
-                // Erase the highlight
-                if (screen6WordColors[index]) {
-                    wordEl.style.backgroundColor = '';
-                    wordEl.classList.remove('highlighted');
-                    delete screen6WordColors[index];
-                }
-            } else if (screen6SelectedColor) {
-                // Highlight with selected color
-                wordEl.style.backgroundColor = screen6SelectedColor;
-                wordEl.classList.add('highlighted');
-                screen6WordColors[index] = screen6SelectedColor;
-            } else {
-                // No color selected
-                showScreen6Modal('Please select a colour from the colour picker first.', 'warning');
-            }
+// A strategy counts as a struggle below this accuracy, once it has enough answers
+const STRUGGLING_ACCURACY = 0.6;
+const STRUGGLING_MIN_ATTEMPTS = 2;
+
+/*
+ * Summary of checked attempts:
+ * {
+ *     students: [{ profile, total, accuracy, mixedUpRate, strategies: [{ id, total, accuracy }], struggling: ['longest'] }],
+ *     questions: [{ questionId, stem, total, accuracy, mixedUpRate }],
+ *     rows: [{ profile, questionId, stem, strategy, total, correct, mixedUp, coded, explanations }]
+ * }
+ * Rates are 0 to 1, mixedUpRate is null when none of the answers were colour coded.
+ */
+function buildDashboardReport(attempts) {
+    const students = groupAttempts(attempts, attempt => attempt.profile).map(([profile, studentAttempts]) => {
+        const strategies = groupAttempts(studentAttempts, attempt => attempt.strategy)
+            .map(([id, strategyAttempts]) => ({ id, ...summarizeAttempts(strategyAttempts) }));
+        return {
+            profile,
+            ...summarizeAttempts(studentAttempts),
+            strategies,
+            struggling: strategies
+                .filter(strategy => strategy.total >= STRUGGLING_MIN_ATTEMPTS && strategy.accuracy < STRUGGLING_ACCURACY)
+                .map(strategy => strategy.id)
         };
+    });
 
-        wordEl.addEventListener('click', handleWordClick);
-        wordEl.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                e.stopPropagation();
-                handleWordClick(e);
-            }
+    const questionSummaries = groupAttempts(attempts, attempt => attempt.questionId)
+        .map(([questionId, questionAttempts]) => ({ questionId, stem: getQuestionStem(questionId), ...summarizeAttempts(questionAttempts) }));
+
+    const rows = [];
+    groupAttempts(attempts, attempt => attempt.profile).forEach(([profile, studentAttempts]) => {
+        groupAttempts(studentAttempts, attempt => attempt.questionId).forEach(([questionId, questionAttempts]) => {
+            const coded = questionAttempts.filter(attempt => attempt.colorCodingCorrect !== null);
+            rows.push({
+                profile,
+                questionId,
+                stem: getQuestionStem(questionId),
+                strategy: questionAttempts[0].strategy,
+                total: questionAttempts.length,
+                correct: questionAttempts.filter(attempt => attempt.answerCorrect).length,
+                coded: coded.length,
+                mixedUp: coded.filter(attempt => !attempt.colorCodingCorrect).length,
+                explanations: questionAttempts.filter(attempt => attempt.explanationNeeded).length
+            });
         });
     });
 
-    // Make checkboxes behave like radio buttons and show/hide check button
-    screen6Checkboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', function() {
-            const checkBtn = document.getElementById('screen6-check-btn');
+    return { students, questions: questionSummaries, rows };
+}
 
-            if (this.checked) {
-                // Uncheck all other checkboxes
-                screen6Checkboxes.forEach(cb => {
-                    if (cb !== this) {
-                        cb.checked = false;
-                    }
-                });
-                // Show the check button
-                checkBtn.classList.remove('hidden');
-            } else {
-                // If no checkbox is selected, hide the button
-                const anyChecked = Array.from(screen6Checkboxes).some(cb => cb.checked);
-                if (!anyChecked) {
-                    checkBtn.classList.add('hidden');
-                }
-            }
-        });
+// [[key, attempts], ...] sorted by key
+function groupAttempts(attempts, getKey) {
+    const groups = new Map();
+    attempts.forEach(attempt => {
+        const key = getKey(attempt);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(attempt);
     });
+    return Array.from(groups.entries()).sort(([a], [b]) => String(a).localeCompare(String(b)));
+}
+
+function summarizeAttempts(attempts) {
+    const coded = attempts.filter(attempt => attempt.colorCodingCorrect !== null);
+    return {
+        total: attempts.length,
+        accuracy: attempts.filter(attempt => attempt.answerCorrect).length / attempts.length,
+        mixedUpRate: coded.length > 0 ? coded.filter(attempt => !attempt.colorCodingCorrect).length / coded.length : null
+    };
 }
 
-function checkScreen6Answer() {
-    const checkBtn = document.getElementById('screen6-check-btn');
-    const screen6Words = document.querySelectorAll('#screen6-options .s6-word');
-    const totalWords = screen6Words.length;
+function formatPercent(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
 
-    // Check if all words are highlighted
-    const highlightedCount = Object.keys(screen6WordColors).length;
+// Table rows for the dashboard and the printable report: [headings, ...rows of cell text]
+function getStudentTable(report) {
+    return [
+        ['Student', 'Answers', 'Accuracy', 'Colour coding a bit mixed up', 'Struggles with'],
+        ...report.students.map(student => [
+            student.profile,
+            String(student.total),
+            formatPercent(student.accuracy),
+            formatPercent(student.mixedUpRate),
+            student.struggling.map(getStrategyName).join(', ') || 'None'
+        ])
+    ];
+}
 
-    if (highlightedCount < totalWords) {
-        // Not all words are highlighted
-        showScreen6Modal('Please finish colour coding all options.', 'warning');
-        return;
+function getQuestionTable(report) {
+    return [
+        ['Question', 'Answers', 'Accuracy', 'Colour coding a bit mixed up'],
+        ...report.questions.map(question => [
+            question.stem,
+            String(question.total),
+            formatPercent(question.accuracy),
+            formatPercent(question.mixedUpRate)
+        ])
+    ];
+}
+
+async function loadDashboardReport() {
+    try {
+        return buildDashboardReport((await getAllAttempts()).filter(isAttemptChecked));
+    } catch (error) {
+        console.error('Could not load attempts:', error);
+        return null;
     }
+}
 
-    // Check if a checkbox is selected
-    const selectedAnswer = document.querySelector('input[name="screen6-answer"]:checked');
+async function renderDashboard() {
+    const status = document.getElementById('dashboard-status');
+    const report = await loadDashboardReport();
 
-    if (!selectedAnswer) {
-        showScreen6Modal('Please select an answer by ticking one of the checkboxes.', 'warning');
+    if (!report) {
+        status.textContent = 'Progress could not be loaded in this browser.';
         return;
     }
+    status.textContent = report.students.length === 0 ? 'No answers recorded yet.' : '';
 
-    // Check if color coding is correct
-    const colorCodingCorrect = isColorCodingCorrect();
-    const answerCorrect = selectedAnswer.value === 'c';
+    fillTable(document.getElementById('dashboard-students'), getStudentTable(report));
+    fillTable(document.getElementById('dashboard-questions'), getQuestionTable(report));
+}
 
-    if (answerCorrect && colorCodingCorrect) {
-        // Correct answer + correct color coding
-        showScreen6Modal('That is the correct answer. Good job!', 'success');
-        checkBtn.disabled = true;
-    } else if (answerCorrect && !colorCodingCorrect) {
-        // Correct answer + wrong color coding
-        showScreen6Modal('That is the correct answer. But the colour coding was a bit mixed up.', 'success');
-        checkBtn.disabled = true;
-    } else if (!answerCorrect && colorCodingCorrect) {
-        // Wrong answer + correct color coding
-        showScreen6Modal('Sorry! That is the wrong answer.', 'error');
-        // Change button to "Explanation"
-        checkBtn.textContent = 'Explanation';
-        checkBtn.onclick = showScreen6Explanation;
-    } else {
-        // Wrong answer + wrong color coding
-        showScreen6Modal('Sorry! That is the wrong answer. Also, the colour coding was a bit mixed up.', 'error');
-        // Change button to "Reset and try again"
-        checkBtn.textContent = 'Reset and try again';
-        checkBtn.onclick = resetScreen6;
-    }
+function fillTable(table, [headings, ...rows]) {
+    table.innerHTML = '';
+    if (rows.length === 0) return;
+
+    const headRow = document.createElement('tr');
+    headings.forEach(heading => headRow.appendChild(createElement('th', null, heading)));
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(text => row.appendChild(createElement('td', null, text)));
+        body.appendChild(row);
+    });
+    table.appendChild(body);
 }
 
-function isColorCodingCorrect() {
-    const screen6Words = document.querySelectorAll('#screen6-options .s6-word');
+// One row per student and question
+async function downloadDashboardCsv() {
+    const report = await loadDashboardReport();
+    if (!report) return;
+
+    const lines = [
+        ['Student', 'Question', 'Strategy', 'Answers', 'Correct', 'Accuracy', 'Colour coded', 'A bit mixed up', 'Explanations needed'],
+        ...report.rows.map(row => [
+            row.profile,
+            row.stem,
+            getStrategyName(row.strategy),
+            row.total,
+            row.correct,
+            formatPercent(row.correct / row.total),
+            row.coded,
+            row.mixedUp,
+            row.explanations
+        ])
+    ].map(cells => cells.map(toCsvField).join(','));
+
+    downloadFile(lines.join('\r\n'), `progress-${getDateStamp()}.csv`, 'text/csv');
+}
 
-    // Build a map of word name to colors used
-    const wordToColors = {};
-    const colorToWords = {};
+function toCsvField(value) {
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula, so make it plain text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    screen6Words.forEach((wordEl, index) => {
-        const word = wordEl.dataset.word;
-        const color = screen6WordColors[index];
+function getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
 
-        // Track colors used for each word
-        if (!wordToColors[word]) {
-            wordToColors[word] = new Set();
-        }
-        wordToColors[word].add(color);
+// Standalone HTML page that prints cleanly (or saves as PDF from the print dialog)
+function buildReportHtml(report) {
+    const tableHtml = ([headings, ...rows]) =>
+        '<table><thead><tr>' + headings.map(h => `<th>${escapeHtml(h)}</th>`).join('') + '</tr></thead><tbody>' +
+        rows.map(cells => '<tr>' + cells.map(c => `<td>${escapeHtml(c)}</td>`).join('') + '</tr>').join('') +
+        '</tbody></table>';
+
+    const studentSections = report.students.map(student =>
+        `<h3>${escapeHtml(student.profile)}</h3>` +
+        tableHtml([
+            ['Strategy', 'Answers', 'Accuracy', 'Colour coding a bit mixed up'],
+            ...student.strategies.map(strategy => [getStrategyName(strategy.id), String(strategy.total), formatPercent(strategy.accuracy), formatPercent(strategy.mixedUpRate)])
+        ])).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Multiple Choice Strategies - Progress Report</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 24px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 18px; margin-top: 24px; border-bottom: 2px solid #7b49ab; }
+    h3 { font-size: 15px; margin-top: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; font-size: 13px; }
+    th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; }
+    th { background: #f0e6ff; }
+    h2, h3, table { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>Multiple Choice Strategies - Progress Report</h1>
+<p>Created ${escapeHtml(new Date().toLocaleString())}</p>
+<h2>Students</h2>
+${tableHtml(getStudentTable(report))}
+<h2>Questions</h2>
+${tableHtml(getQuestionTable(report))}
+<h2>Strategies by student</h2>
+${studentSections}
+</body>
+</html>
+`;
+}
 
-        // Track words using each color
-        if (!colorToWords[color]) {
-            colorToWords[color] = new Set();
-        }
-        colorToWords[color].add(word);
-    });
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
 
-    // Check 1: Same word should have the same color (only one color per word)
-    for (const word in wordToColors) {
-        if (wordToColors[word].size > 1) {
-            return false; // Same word has different colors
-        }
-    }
+async function downloadDashboardReport() {
+    const report = await loadDashboardReport();
+    if (!report) return;
+    downloadFile(buildReportHtml(report), `progress-report-${getDateStamp()}.html`, 'text/html');
+}
 
-    // Check 2: Different words should have different colors (each color used for only one word)
-    for (const color in colorToWords) {
-        if (colorToWords[color].size > 1) {
-            return false; // Same color used for different words
-        }
-    }
+async function printDashboardReport() {
+    const report = await loadDashboardReport();
+    if (!report) return;
 
-    return true;
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        document.getElementById('dashboard-status').textContent = 'Allow pop-ups to print the report, or download it instead.';
+        return;
+    }
+    reportWindow.document.write(buildReportHtml(report));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
 }
 
-async function showScreen6Explanation() {
-    const checkBtn = document.getElementById('screen6-check-btn');
-    const resultDiv = document.getElementById('screen6-result');
-
-    checkBtn.disabled = true;
+// ============================================
+// Tutor Screens
+// ============================================
 
-    // Hide modal if visible
-    closeScreen6ModalSilent();
+// Open a tutor screen, remembering where the student path was left
+function openTutorScreen(name) {
+    if (typeof currentScreen === 'number') {
+        tutorReturnScreen = currentScreen;
+    }
+    goToScreen(name);
+
+    if (name === 'history') {
+        renderStudentHistory();
+    } else if (name === 'dashboard') {
+        renderDashboard();
+    } else if (name === 'themes') {
+        renderThemeEditor();
+        renderFontManager();
+    }
+}
 
-    // Tick the correct answer (c)
-    const screen6Checkboxes = document.querySelectorAll('input[name="screen6-answer"]');
-    screen6Checkboxes.forEach(cb => cb.checked = false);
-    document.getElementById('screen6-c').checked = true;
+function closeTutorScreen() {
+    goToScreen(tutorReturnScreen);
+}
 
-    // Show result div
-    resultDiv.classList.remove('hidden');
-    resultDiv.innerHTML = '';
+// ============================================
+// Question Editor (Tutor)
+// ============================================
+function initializeQuestionEditor() {
+    document.getElementById('editor-label').addEventListener('input', function() {
+        editorDraft.label = this.value;
+        clearEditorPreview();
+    });
 
-    // Get all words and their colors
-    const screen6Words = document.querySelectorAll('#screen6-options .s6-word');
+    document.getElementById('editor-stem').addEventListener('input', function() {
+        editorDraft.stem = this.value;
+        clearEditorPreview();
+    });
 
-    // Build word data - unique words and their occurrences with colors
-    const wordOccurrences = {};
-    screen6Words.forEach((wordEl, index) => {
-        const word = wordEl.dataset.word;
-        const color = screen6WordColors[index];
+    document.getElementById('editor-instructions').addEventListener('input', function() {
+        editorDraft.instructions = this.value;
+        clearEditorPreview();
+    });
 
-        if (!wordOccurrences[word]) {
-            wordOccurrences[word] = [];
+    document.getElementById('editor-file-input').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            loadQuestionFile(this.files[0]);
         }
-        wordOccurrences[word].push({ index, color, element: wordEl });
+        // Allow the same file to be loaded again
+        this.value = '';
     });
 
-    // Process each unique word
-    for (const word in wordOccurrences) {
-        const occurrences = wordOccurrences[word];
-        const count = occurrences.length;
+    renderSavedQuestionList();
+    startNewQuestion();
+}
 
-        // Get the color(s) used - take the first one for display
-        const colorUsed = occurrences[0].color;
-        const colorName = getScreen6ColorName(colorUsed);
+function startNewQuestion() {
+    editorDraft = {
+        id: null,
+        label: '',
+        stem: '',
+        instructions: '',
+        options: ['a', 'b', 'c', 'd'].map(id => ({ id, text: '', tokens: null })),
+        correct: 'a'
+    };
+    renderQuestionEditor();
+}
 
-        // Create the text with proper grammar
-        const resultText = count === 1
-            ? `There is ${count} answer that is coloured ${colorName} for ${word}.`
-            : `There are ${count} answers that are coloured ${colorName} for ${word}.`;
+function editAuthoredQuestion(id) {
+    const question = loadAuthoredQuestions().find(q => q.id === id);
+    if (!question) return;
+
+    editorDraft = {
+        id: question.id,
+        label: question.label || '',
+        stem: question.stem,
+        instructions: question.instructions || '',
+        options: question.options.map(option => ({ id: option.id, text: option.text, tokens: option.tokens || null })),
+        correct: question.correct
+    };
+    renderQuestionEditor();
+}
 
-        // Add to result div
-        const p = document.createElement('p');
-        p.innerHTML = resultText;
-        resultDiv.appendChild(p);
+function renderQuestionEditor() {
+    editorSelectedToken = null;
 
-        // Speak the result
-        await speakTextWithPromise(resultText);
+    document.getElementById('editor-label').value = editorDraft.label;
+    document.getElementById('editor-stem').value = editorDraft.stem;
+    document.getElementById('editor-instructions').value = editorDraft.instructions;
+    document.getElementById('editor-title').textContent = editorDraft.id ? `Editing "${editorDraft.id}"` : 'New question';
 
-        // Flash all instances of this word
-        occurrences.forEach(occ => {
-            occ.element.classList.add('flash');
+    setEditorStatus('');
+    showEditorErrors([]);
+    renderEditorOptions();
+    clearEditorPreview();
+}
+
+function renderEditorOptions() {
+    const container = document.getElementById('editor-options');
+    container.innerHTML = '';
+
+    editorDraft.options.forEach((option, optionIndex) => {
+        const row = createElement('div', 'editor-option');
+
+        // Correct answer radio
+        const correctLabel = createElement('label', 'editor-correct');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'editor-correct';
+        radio.value = option.id;
+        radio.checked = editorDraft.correct === option.id;
+        radio.setAttribute('aria-label', `Option ${option.id} is correct`);
+        radio.addEventListener('change', () => {
+            editorDraft.correct = option.id;
+            clearEditorPreview();
         });
-        await delay(1200);
-        occurrences.forEach(occ => {
-            occ.element.classList.remove('flash');
+        correctLabel.appendChild(radio);
+        correctLabel.appendChild(document.createTextNode(`${option.id}.`));
+        row.appendChild(correctLabel);
+
+        // Option text
+        const textInput = createElement('input', 'editor-option-text');
+        textInput.type = 'text';
+        textInput.value = option.text;
+        textInput.placeholder = 'e.g. Mercury, Venus';
+        textInput.setAttribute('aria-label', `Option ${option.id} text`);
+        textInput.addEventListener('input', () => {
+            option.text = textInput.value;
+            // Changing the text goes back to the automatic split
+            option.tokens = null;
+            renderEditorTokens(row, optionIndex);
+            renderEditorAnalysis();
+            clearEditorPreview();
         });
+        row.appendChild(textInput);
 
-        await delay(300);
-    }
-
-    // Add final explanation
-    const finalText = document.createElement('p');
-    finalText.style.marginTop = '16px';
-    finalText.style.fontWeight = 'bold';
-    finalText.innerHTML = 'Based on the strategy, the answer is c as all the words have been coloured multiple times.';
-    resultDiv.appendChild(finalText);
-
-    await speakTextWithPromise('Based on the strategy, the answer is c as all the words have been coloured multiple times.');
-
-    // Scroll to result
-    resultDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const removeBtn = createElement('button', 'editor-btn editor-remove-btn', 'Remove');
+        removeBtn.type = 'button';
+        removeBtn.disabled = editorDraft.options.length <= 2;
+        removeBtn.addEventListener('click', () => removeEditorOption(optionIndex));
+        row.appendChild(removeBtn);
 
-    checkBtn.disabled = false;
-}
+        row.appendChild(createElement('div', 'editor-tokens'));
+        container.appendChild(row);
+        renderEditorTokens(row, optionIndex);
+    });
 
-function getScreen6ColorName(hex) {
-    const colorNames = {
-        '#f5d3ed': 'pink',
-        '#dcf5d3': 'green',
-        '#f6f7b9': 'yellow',
-        '#cee6ff': 'blue',
-        '#f9a2a2': 'red',
-        '#9abecc': 'teal'
-    };
-    return colorNames[hex] || 'this colour';
+    renderEditorAnalysis();
 }
 
-function showScreen6Modal(message, type) {
-    const modal = document.getElementById('screen6-modal');
-    const modalContent = document.getElementById('screen6-modal-content');
-    const modalText = document.getElementById('screen6-modal-text');
-
-    // Set message
-    modalText.textContent = message;
+// Word chips for one option, with join/split tools for the selected chip
+function renderEditorTokens(row, optionIndex) {
+    const option = editorDraft.options[optionIndex];
+    const tokensDiv = row.querySelector('.editor-tokens');
+    tokensDiv.innerHTML = '';
+
+    getDraftTokens(option).forEach((token, tokenIndex) => {
+        const chip = createElement('button', 'token-chip', token);
+        chip.type = 'button';
+        const isSelected = editorSelectedToken &&
+            editorSelectedToken.optionIndex === optionIndex &&
+            editorSelectedToken.tokenIndex === tokenIndex;
+        chip.classList.toggle('selected', !!isSelected);
+        chip.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+        chip.addEventListener('click', () => {
+            editorSelectedToken = isSelected ? null : { optionIndex, tokenIndex };
+            renderEditorOptions();
+        });
+        tokensDiv.appendChild(chip);
+    });
 
-    // Set type class
-    modalContent.className = 'modal-content';
-    if (type) {
-        modalContent.classList.add(type);
+    if (editorSelectedToken && editorSelectedToken.optionIndex === optionIndex) {
+        const joinBtn = createElement('button', 'editor-btn', 'Join with next word');
+        joinBtn.type = 'button';
+        joinBtn.disabled = editorSelectedToken.tokenIndex >= getDraftTokens(option).length - 1;
+        joinBtn.addEventListener('click', () => joinEditorToken(optionIndex, editorSelectedToken.tokenIndex));
+        tokensDiv.appendChild(joinBtn);
+
+        const splitBtn = createElement('button', 'editor-btn', 'Split into words');
+        splitBtn.type = 'button';
+        splitBtn.disabled = !/\s/.test(getDraftTokens(option)[editorSelectedToken.tokenIndex]);
+        splitBtn.addEventListener('click', () => splitEditorToken(optionIndex, editorSelectedToken.tokenIndex));
+        tokensDiv.appendChild(splitBtn);
     }
+}
 
-    // Show modal
-    modal.classList.add('visible');
+// The author's tokens for an option, or the automatic split of its text
+function getDraftTokens(option) {
+    if (option.tokens) return option.tokens;
+    return tokenizeOptionText(option.text).filter(segment => segment.term).map(segment => segment.text);
+}
 
-    // Speak the message
-    speakText(message);
+// Merge a token with the following one, keeping the text between them ("Sea" + "Turtle")
+function joinEditorToken(optionIndex, tokenIndex) {
+    const option = editorDraft.options[optionIndex];
+    const ranges = getTokenRanges(option.text, getDraftTokens(option));
+    const first = ranges[tokenIndex];
+    const second = ranges[tokenIndex + 1];
+    if (!first || !second) return;
+
+    const tokens = ranges.map(range => range.text);
+    tokens.splice(tokenIndex, 2, option.text.slice(first.start, second.end));
+    option.tokens = tokens;
+
+    editorSelectedToken = { optionIndex, tokenIndex };
+    renderEditorOptions();
+    clearEditorPreview();
 }
 
-function closeScreen6Modal(event) {
-    // If clicking on the overlay (not the content), close
-    if (event && event.target !== event.currentTarget) {
-        return;
-    }
+// Split a multi-word token into single words
+function splitEditorToken(optionIndex, tokenIndex) {
+    const option = editorDraft.options[optionIndex];
+    const tokens = getDraftTokens(option).slice();
+    const words = tokens[tokenIndex].split(/\s+/).filter(Boolean);
 
-    const modal = document.getElementById('screen6-modal');
-    modal.classList.remove('visible');
-}
+    tokens.splice(tokenIndex, 1, ...words);
+    option.tokens = tokens;
 
-function closeScreen6ModalSilent() {
-    const modal = document.getElementById('screen6-modal');
-    if (modal) {
-        modal.classList.remove('visible');
-    }
+    editorSelectedToken = null;
+    renderEditorOptions();
+    clearEditorPreview();
 }
 
-function resetScreen6() {
-    // Reset state
-    screen6SelectedColor = null;
-    screen6EraserMode = false;
-    screen6WordColors = {};
+// Start and end offsets of each token within the option text
+function getTokenRanges(text, tokens) {
+    const ranges = [];
+    let offset = 0;
 
-    // Clear word highlights
-    const screen6Words = document.querySelectorAll('#screen6-options .s6-word');
-    screen6Words.forEach(word => {
-        word.style.backgroundColor = '';
-        word.classList.remove('highlighted', 'flash');
+    splitOptionText(text, tokens).forEach(segment => {
+        if (segment.word) {
+            ranges.push({ text: segment.text, start: offset, end: offset + segment.text.length });
+        }
+        offset += segment.text.length;
     });
 
-    // Clear color button selections
-    const colorButtons = document.querySelectorAll('.s6-color');
-    colorButtons.forEach(btn => btn.classList.remove('selected'));
-    const eraserBtn = document.getElementById('screen6-eraser');
-    if (eraserBtn) eraserBtn.classList.remove('selected');
-
-    // Reset checkboxes
-    const screen6Checkboxes = document.querySelectorAll('input[name="screen6-answer"]');
-    screen6Checkboxes.forEach(cb => cb.checked = false);
+    return ranges;
+}
 
-    // Reset and hide check button
-    const checkBtn = document.getElementById('screen6-check-btn');
-    if (checkBtn) {
-        checkBtn.textContent = 'Check your answer';
-        checkBtn.onclick = checkScreen6Answer;
-        checkBtn.disabled = false;
-        checkBtn.classList.add('hidden');
-    }
+function addEditorOption() {
+    if (editorDraft.options.length >= 6) return;
 
-    // Hide modal
-    closeScreen6ModalSilent();
+    const usedIds = editorDraft.options.map(option => option.id);
+    const nextId = 'abcdef'.split('').find(id => !usedIds.includes(id));
+    editorDraft.options.push({ id: nextId, text: '', tokens: null });
 
-    // Hide result
-    const resultDiv = document.getElementById('screen6-result');
-    if (resultDiv) {
-        resultDiv.classList.add('hidden');
-        resultDiv.innerHTML = '';
-    }
+    renderEditorOptions();
+    clearEditorPreview();
 }
 
-// ============================================
-// Screen 7 - Animal Mammals Question Interactive
-// ============================================
+function removeEditorOption(optionIndex) {
+    if (editorDraft.options.length <= 2) return;
 
-function initializeScreen7() {
-    const colorButtons = document.querySelectorAll('.s7-color');
-    const eraserBtn = document.getElementById('screen7-eraser');
-    const screen7Words = document.querySelectorAll('#screen7-options .s7-word');
-    const screen7Checkboxes = document.querySelectorAll('input[name="screen7-answer"]');
+    editorDraft.options.splice(optionIndex, 1);
 
-    // Color button click - select color
-    colorButtons.forEach(btn => {
-        btn.addEventListener('click', function() {
-            if (isSpeaking) return;
+    // Keep option ids in a, b, c order
+    const oldCorrect = editorDraft.correct;
+    let newCorrect = 'a';
+    editorDraft.options.forEach((option, i) => {
+        const newId = 'abcdef'[i];
+        if (option.id === oldCorrect) newCorrect = newId;
+        option.id = newId;
+    });
+    editorDraft.correct = newCorrect;
 
-            // Remove selected class from all buttons including eraser
-            colorButtons.forEach(b => b.classList.remove('selected'));
-            eraserBtn.classList.remove('selected');
+    editorSelectedToken = null;
+    renderEditorOptions();
+    clearEditorPreview();
+}
 
-            // Add selected class to this button
-            this.classList.add('selected');
+// Show what the frequency strategy makes of the draft
+function renderEditorAnalysis() {
+    const analysisDiv = document.getElementById('editor-analysis');
+    analysisDiv.innerHTML = '';
 
-            // Store selected color and exit eraser mode
-            screen7SelectedColor = this.dataset.color;
-            screen7EraserMode = false;
-        });
-    });
+    if (editorDraft.options.filter(option => option.text.trim()).length < 2) {
+        return;
+    }
 
-    // Eraser button click
-    eraserBtn.addEventListener('click', function() {
-        if (isSpeaking) return;
+    const analysis = analyzeQuestion(buildDraftQuestion());
+    const repeated = analysis.terms.filter(term => term.count > 1);
 
-        // Remove selected class from all color buttons
-        colorButtons.forEach(b => b.classList.remove('selected'));
+    analysisDiv.appendChild(createElement('p', null, repeated.length > 0
+        ? `Repeated words: ${repeated.map(term => `${term.label} (${term.count})`).join(', ')}`
+        : 'No words are repeated across the options yet.'));
 
-        // Toggle eraser selection
-        this.classList.add('selected');
-        screen7EraserMode = true;
-        screen7SelectedColor = null;
-    });
+    const prediction = createElement('p', null, describePrediction(analysis));
+    if (analysis.predicted && analysis.predicted !== editorDraft.correct) {
+        prediction.classList.add('editor-warning');
+        prediction.textContent += ` The correct option is ${editorDraft.correct}, so the strategy will not find it.`;
+    }
+    analysisDiv.appendChild(prediction);
+}
 
-    // Word click - highlight or erase
-    screen7Words.forEach((wordEl, index) => {
-        wordEl.style.cursor = 'pointer';
-        wordEl.setAttribute('tabindex', '0');
-        wordEl.setAttribute('role', 'button');
+// Plain question object in the bank schema
+function buildDraftQuestion() {
+    const question = {
+        id: editorDraft.id || createQuestionId(editorDraft.stem),
+        mode: 'free',
+        stem: editorDraft.stem.trim(),
+        options: editorDraft.options.map(option => {
+            const entry = { id: option.id, text: option.text.trim() };
+            if (option.tokens) entry.tokens = option.tokens;
+            return entry;
+        }),
+        correct: editorDraft.correct
+    };
 
-        const handleWordClick = function(e) {
-            // Stop propagation and prevent default to stop checkbox from being triggered
-            e.stopPropagation();
-            e.preventDefault();
+    if (editorDraft.label.trim()) question.label = editorDraft.label.trim();
+    if (editorDraft.instructions.trim()) question.instructions = editorDraft.instructions.trim();
 
-            if (isSpeaking) return;
+    return question;
+}
 
-            if (screen7EraserMode) {
-                // Erase the highlight
-                if (screen7WordColors[index]) {
-                    wordEl.style.backgroundColor = '';
-                    wordEl.classList.remove('highlighted');
-                    delete screen7WordColors[index];
-                }
-            } else if (screen7SelectedColor) {
-                // Highlight with selected color
-                wordEl.style.backgroundColor = screen7SelectedColor;
-                wordEl.classList.add('highlighted');
-                screen7WordColors[index] = screen7SelectedColor;
-            } else {
-                // No color selected
-                showScreen7Modal('Please select a colour from the colour picker first.', 'warning');
-            }
-        };
+// Readable id from the question text, unique within the bank
+function createQuestionId(stem) {
+    const base = stem.toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'question';
+
+    const usedIds = QUESTION_BANK.concat(loadAuthoredQuestions()).map(q => q.id);
+    let id = base;
+    let suffix = 2;
+    while (usedIds.includes(id)) {
+        id = `${base}-${suffix++}`;
+    }
+    return id;
+}
 
-        wordEl.addEventListener('click', handleWordClick);
-        wordEl.addEventListener('keypress', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                e.stopPropagation();
-                handleWordClick(e);
-            }
-        });
-    });
+function validateDraftQuestion(question) {
+    const errors = validateQuestion(question);
+    if (isPlainObject(question) && QUESTION_BANK.some(q => q.id === question.id)) {
+        errors.push('this id belongs to a built-in question');
+    }
+    return errors;
+}
 
-    // Make checkboxes behave like radio buttons and show/hide check button
-    screen7Checkboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', function() {
-            const checkBtn = document.getElementById('screen7-check-btn');
+function previewDraftQuestion() {
+    const question = buildDraftQuestion();
+    const errors = validateDraftQuestion(question);
+    showEditorErrors(errors);
+    if (errors.length > 0) return;
 
-            if (this.checked) {
-                // Uncheck all other checkboxes
-                screen7Checkboxes.forEach(cb => {
-                    if (cb !== this) {
-                        cb.checked = false;
-                    }
-                });
-                // Show the check button
-                checkBtn.classList.remove('hidden');
-            } else {
-                // If no checkbox is selected, hide the button
-                const anyChecked = Array.from(screen7Checkboxes).some(cb => cb.checked);
-                if (!anyChecked) {
-                    checkBtn.classList.add('hidden');
-                }
-            }
-        });
-    });
-}
+    const preview = document.getElementById('editor-preview');
+    preview.innerHTML = '';
+    preview.classList.remove('hidden');
 
-function checkScreen7Answer() {
-    const checkBtn = document.getElementById('screen7-check-btn');
-    const screen7Words = document.querySelectorAll('#screen7-options .s7-word');
-    const totalWords = screen7Words.length;
+    const normalized = normalizeQuestion(question);
+    const view = createQuestionView(normalized, 'preview', null);
+    preview.appendChild(createElement('p', 'instruction-text', normalized.heading));
+    buildQuestionPanel(view, preview);
+    initializeQuestionView(view);
 
-    // Check if all words are highlighted
-    const highlightedCount = Object.keys(screen7WordColors).length;
+    preview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
 
-    if (highlightedCount < totalWords) {
-        // Not all words are highlighted
-        showScreen7Modal('Please finish colour coding all options.', 'warning');
-        return;
+function clearEditorPreview() {
+    const preview = document.getElementById('editor-preview');
+    if (preview) {
+        preview.innerHTML = '';
+        preview.classList.add('hidden');
     }
+}
 
-    // Check if a checkbox is selected
-    const selectedAnswer = document.querySelector('input[name="screen7-answer"]:checked');
+function saveDraftQuestion() {
+    const question = buildDraftQuestion();
+    const errors = validateDraftQuestion(question);
+    showEditorErrors(errors);
+    if (errors.length > 0) return;
+
+    const replaced = storeAuthoredQuestions([question]);
+    if (!replaced) return;
+
+    // Saving the question being edited is expected to replace it; saving over another one is not
+    const replacedOther = replaced.length > 0 && editorDraft.id !== question.id;
+    editorDraft.id = question.id;
+    document.getElementById('editor-title').textContent = `Editing "${question.id}"`;
+    setEditorStatus(replacedOther
+        ? `Saved "${question.id}", replacing the saved question that already had this id.`
+        : `Saved "${question.id}".`);
+}
 
-    if (!selectedAnswer) {
-        showScreen7Modal('Please select an answer by ticking one of the checkboxes.', 'warning');
-        return;
-    }
+function downloadDraftQuestion() {
+    const question = buildDraftQuestion();
+    const errors = validateDraftQuestion(question);
+    showEditorErrors(errors);
+    if (errors.length > 0) return;
 
-    // Check if color coding is correct
-    const colorCodingCorrect = isScreen7ColorCodingCorrect();
-    const answerCorrect = selectedAnswer.value === 'b';
+    downloadQuestionsFile([question], `${question.id}.json`);
+}
 
-    if (answerCorrect && colorCodingCorrect) {
-        // Correct answer + correct color coding
-        showScreen7Modal('That is the correct answer. Good job!', 'success');
-        checkBtn.disabled = true;
-    } else if (answerCorrect && !colorCodingCorrect) {
-        // Correct answer + wrong color coding
-        showScreen7Modal('That is the correct answer. But the colour coding was a bit mixed up.', 'success');
-        checkBtn.disabled = true;
-    } else if (!answerCorrect && colorCodingCorrect) {
-        // Wrong answer + correct color coding
-        showScreen7Modal('Sorry! That is the wrong answer.', 'error');
-        // Change button to "Explanation"
-        checkBtn.textContent = 'EXPLANATION';
-        checkBtn.onclick = showScreen7Explanation;
-    } else {
-        // Wrong answer + wrong color coding
-        showScreen7Modal('Sorry! That is the wrong answer. Also, the colour coding was a bit mixed up.', 'error');
-        // Change button to "Reset and try again"
-        checkBtn.textContent = 'RESET AND TRY AGAIN';
-        checkBtn.onclick = resetScreen7;
-    }
+function downloadAuthoredQuestions() {
+    downloadQuestionsFile(loadAuthoredQuestions(), 'dyslexia-aid-questions.json');
 }
 
-function isScreen7ColorCodingCorrect() {
-    const screen7Words = document.querySelectorAll('#screen7-options .s7-word');
+function downloadQuestionsFile(questions, fileName) {
+    downloadFile(JSON.stringify(questions, null, 2), fileName, 'application/json');
+}
 
-    // Build a map of word name to colors used
-    const wordToColors = {};
-    const colorToWords = {};
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
 
-    screen7Words.forEach((wordEl, index) => {
-        const word = wordEl.dataset.word;
-        const color = screen7WordColors[index];
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
 
-        // Track colors used for each word
-        if (!wordToColors[word]) {
-            wordToColors[word] = new Set();
-        }
-        wordToColors[word].add(color);
+    // Some browsers start the download after click() returns, so keep the file a moment
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-        // Track words using each color
-        if (!colorToWords[color]) {
-            colorToWords[color] = new Set();
+// Load a JSON file holding one question or a list of questions
+function loadQuestionFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = function() {
+        let questions;
+        try {
+            const parsed = JSON.parse(reader.result);
+            questions = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            showEditorErrors([`${file.name} is not a valid JSON file.`]);
+            return;
         }
-        colorToWords[color].add(word);
-    });
 
-    // Check 1: Same word should have the same color (only one color per word)
-    for (const word in wordToColors) {
-        if (wordToColors[word].size > 1) {
-            return false; // Same word has different colors
-        }
-    }
+        const errors = [];
+        const valid = questions.filter((question, index) => {
+            const questionErrors = validateDraftQuestion(question);
+            const name = (isPlainObject(question) && question.id) || `Question ${index + 1}`;
+            questionErrors.forEach(error => errors.push(`${name}: ${error}`));
+            return questionErrors.length === 0;
+        });
 
-    // Check 2: Different words should have different colors (each color used for only one word)
-    for (const color in colorToWords) {
-        if (colorToWords[color].size > 1) {
-            return false; // Same color used for different words
+        showEditorErrors(errors);
+        if (valid.length > 0) {
+            const replaced = storeAuthoredQuestions(valid);
+            if (!replaced) return;
+
+            let status = `Loaded ${valid.length} question${valid.length === 1 ? '' : 's'} from ${file.name}.`;
+            if (replaced.length > 0) {
+                status += ` Replaced the saved question${replaced.length === 1 ? '' : 's'} ${replaced.map(id => `"${id}"`).join(', ')}.`;
+            }
+            setEditorStatus(status);
         }
-    }
+    };
 
-    return true;
+    reader.onerror = function() {
+        showEditorErrors([`Could not read ${file.name}.`]);
+    };
+
+    reader.readAsText(file);
 }
 
-function getScreen7ColorName(hex) {
-    const colorNames = {
-        '#f5d3ed': 'pink',
-        '#dcf5d3': 'green',
-        '#f6f7b9': 'yellow',
-        '#cee6ff': 'blue',
-        '#f9a2a2': 'red',
-        '#9abecc': 'teal'
-    };
-    return colorNames[hex] || 'this colour';
+// Add or replace questions in the authored store and rebuild the question screens.
+// Returns the ids of saved questions that were replaced, or null when nothing could be saved.
+function storeAuthoredQuestions(questions) {
+    const stored = loadAuthoredQuestions();
+    const replaced = [];
+
+    questions.forEach(question => {
+        const index = stored.findIndex(q => q.id === question.id);
+        if (index === -1) {
+            stored.push(question);
+        } else {
+            stored[index] = question;
+            replaced.push(question.id);
+        }
+    });
+
+    if (!saveAuthoredQuestions(stored)) return null;
+    initializeLessonScreens();
+    renderSavedQuestionList();
+    return replaced;
 }
 
-async function showScreen7Explanation() {
-    const checkBtn = document.getElementById('screen7-check-btn');
-    const resultDiv = document.getElementById('screen7-result');
+function deleteAuthoredQuestion(id) {
+    if (!confirm(`Delete the question "${id}"?`)) return;
 
-    checkBtn.disabled = true;
+    if (!saveAuthoredQuestions(loadAuthoredQuestions().filter(q => q.id !== id))) return;
+    initializeLessonScreens();
+    renderSavedQuestionList();
 
-    // Hide modal if visible
-    closeScreen7ModalSilent();
+    if (editorDraft.id === id) {
+        startNewQuestion();
+    }
+}
 
-    // Tick the correct answer (b)
-    const screen7Checkboxes = document.querySelectorAll('input[name="screen7-answer"]');
-    screen7Checkboxes.forEach(cb => cb.checked = false);
-    document.getElementById('screen7-b').checked = true;
+function renderSavedQuestionList() {
+    const list = document.getElementById('editor-saved-list');
+    const questions = loadAuthoredQuestions();
+    list.innerHTML = '';
 
-    // Show result div
-    resultDiv.classList.remove('hidden');
-    resultDiv.innerHTML = '';
+    if (questions.length === 0) {
+        list.appendChild(createElement('li', 'editor-empty', 'No saved questions yet.'));
+        return;
+    }
 
-    // Get all words and their colors
-    const screen7Words = document.querySelectorAll('#screen7-options .s7-word');
+    questions.forEach(question => {
+        const item = createElement('li', 'editor-saved-item');
+        item.appendChild(createElement('span', 'editor-saved-stem', question.label ? `${question.label}: ${question.stem}` : question.stem));
 
-    // Build word data - unique words and their occurrences with colors
-    const wordOccurrences = {};
-    screen7Words.forEach((wordEl, index) => {
-        const word = wordEl.dataset.word;
-        const color = screen7WordColors[index];
+        const editBtn = createElement('button', 'editor-btn', 'Edit');
+        editBtn.addEventListener('click', () => editAuthoredQuestion(question.id));
+        item.appendChild(editBtn);
 
-        if (!wordOccurrences[word]) {
-            wordOccurrences[word] = [];
-        }
-        wordOccurrences[word].push({ index, color, element: wordEl });
+        const deleteBtn = createElement('button', 'editor-btn editor-remove-btn', 'Delete');
+        deleteBtn.addEventListener('click', () => deleteAuthoredQuestion(question.id));
+        item.appendChild(deleteBtn);
+
+        list.appendChild(item);
     });
+}
 
-    // Process each unique word
-    for (const word in wordOccurrences) {
-        const occurrences = wordOccurrences[word];
-        const count = occurrences.length;
+function showEditorErrors(errors) {
+    const list = document.getElementById('editor-errors');
+    list.innerHTML = '';
+    errors.forEach(error => list.appendChild(createElement('li', null, error)));
+    list.classList.toggle('hidden', errors.length === 0);
+}
 
-        // Get the color(s) used - take the first one for display
-        const colorUsed = occurrences[0].color;
-        const colorName = getScreen7ColorName(colorUsed);
+function setEditorStatus(message) {
+    document.getElementById('editor-status').textContent = message;
+}
 
-        // Create the text with proper grammar
-        const resultText = count === 1
-            ? `There is ${count} answer that is coloured ${colorName} for ${word}.`
-            : `There are ${count} answers that are coloured ${colorName} for ${word}.`;
+// ============================================
+// Theme Editor (Tutor)
+// ============================================
+function initializeThemeEditor() {
+    const palette = document.getElementById('theme-palette');
+    HIGHLIGHT_COLORS.forEach(entry => {
+        const field = createElement('label', 'theme-palette-field');
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.dataset.name = entry.name;
+        field.appendChild(input);
+        field.appendChild(document.createTextNode(` ${capitalize(entry.name)}`));
+        palette.appendChild(field);
+    });
 
-        // Add to result div
-        const p = document.createElement('p');
-        p.innerHTML = resultText;
-        resultDiv.appendChild(p);
+    document.querySelector('#screen-themes .editor-form').addEventListener('input', () => {
+        readThemeDraft();
+        renderThemePreview();
+    });
 
-        // Speak the result
-        await speakTextWithPromise(resultText);
+    startNewTheme();
+}
 
-        // Flash all instances of this word
-        occurrences.forEach(occ => {
-            occ.element.classList.add('flash');
-        });
-        await delay(1200);
-        occurrences.forEach(occ => {
-            occ.element.classList.remove('flash');
-        });
+function startNewTheme() {
+    themeDraft = { ...activeTheme, id: null, name: '', palette: { ...activeTheme.palette } };
+    renderThemeEditor();
+}
 
-        await delay(300);
-    }
+function editTheme(id) {
+    const theme = getTheme(id);
+    themeDraft = { ...theme, palette: { ...theme.palette } };
+    renderThemeEditor();
+}
 
-    // Add final explanation
-    const finalText = document.createElement('p');
-    finalText.style.marginTop = '16px';
-    finalText.style.fontWeight = 'bold';
-    finalText.innerHTML = 'Based on the strategy, the answer is B as all the words in it have been coloured multiple times.';
-    resultDiv.appendChild(finalText);
+function renderThemeEditor() {
+    document.getElementById('theme-title').textContent = themeDraft.id ? `Edit theme: ${themeDraft.name}` : 'New theme';
+    document.getElementById('theme-name').value = themeDraft.name;
+    document.getElementById('theme-font-color').value = themeDraft.fontColor.toLowerCase();
+    document.getElementById('theme-background').value = themeDraft.background.toLowerCase();
+    document.querySelectorAll('#theme-palette input').forEach(input => {
+        input.value = themeDraft.palette[input.dataset.name];
+    });
+    document.getElementById('theme-letter-spacing').value = themeDraft.letterSpacing;
+    document.getElementById('theme-word-spacing').value = themeDraft.wordSpacing;
+    document.getElementById('theme-line-height').value = themeDraft.lineHeight;
+    document.getElementById('theme-font-size').value = themeDraft.fontSize;
+    setThemeStatus('');
+
+    renderSavedThemeList();
+    renderThemePreview();
+}
 
-    await speakTextWithPromise('Based on the strategy, the answer is B as all the words in it have been coloured multiple times.');
+function readThemeDraft() {
+    themeDraft.name = document.getElementById('theme-name').value.trim();
+    themeDraft.fontColor = document.getElementById('theme-font-color').value;
+    themeDraft.background = document.getElementById('theme-background').value;
+    document.querySelectorAll('#theme-palette input').forEach(input => {
+        themeDraft.palette[input.dataset.name] = input.value;
+    });
+    themeDraft.letterSpacing = parseFloat(document.getElementById('theme-letter-spacing').value);
+    themeDraft.wordSpacing = parseFloat(document.getElementById('theme-word-spacing').value);
+    themeDraft.lineHeight = parseFloat(document.getElementById('theme-line-height').value);
+    themeDraft.fontSize = parseInt(document.getElementById('theme-font-size').value, 10);
+}
 
-    // Scroll to result
-    resultDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+// Sample text in the draft theme, with every highlight colour, and its contrast check
+function renderThemePreview() {
+    const preview = document.getElementById('theme-preview');
+    preview.style.color = themeDraft.fontColor;
+    preview.style.backgroundColor = themeDraft.background;
+    preview.style.letterSpacing = `${themeDraft.letterSpacing}em`;
+    preview.style.wordSpacing = `${themeDraft.wordSpacing}em`;
+    preview.style.lineHeight = themeDraft.lineHeight;
+    preview.style.fontSize = `${themeDraft.fontSize}px`;
+
+    preview.innerHTML = '';
+    preview.appendChild(createElement('p', null, 'Which are the two planets closest to Earth?'));
+    const words = document.createElement('p');
+    HIGHLIGHT_COLORS.forEach(entry => {
+        const word = createElement('span', 'word highlighted', capitalize(entry.name));
+        word.style.backgroundColor = themeDraft.palette[entry.name];
+        words.appendChild(word);
+        words.appendChild(document.createTextNode(' '));
+    });
+    preview.appendChild(words);
 
-    checkBtn.disabled = false;
+    document.getElementById('theme-letter-spacing-value').textContent = `${themeDraft.letterSpacing}em`;
+    document.getElementById('theme-word-spacing-value').textContent = `${themeDraft.wordSpacing}em`;
+    document.getElementById('theme-line-height-value').textContent = String(themeDraft.lineHeight);
+    document.getElementById('theme-font-size-value').textContent = `${themeDraft.fontSize}px`;
+
+    renderThemeContrast();
 }
 
-function showScreen7Modal(message, type) {
-    const modal = document.getElementById('screen7-modal');
-    const modalContent = document.getElementById('screen7-modal-content');
-    const modalText = document.getElementById('screen7-modal-text');
+// Contrast of the text against the background and every highlight, against WCAG AA (4.5:1)
+function renderThemeContrast() {
+    const list = document.getElementById('theme-contrast');
+    list.innerHTML = '';
 
-    // Set message
-    modalText.textContent = message;
+    getThemeContrastChecks(themeDraft).forEach(check => {
+        const level = getContrastLevel(check.ratio);
+        const text = `${check.label}: ${check.ratio.toFixed(1)}:1 ${level ? `passes ${level}` : 'fails AA'}`;
+        list.appendChild(createElement('li', level ? 'theme-contrast-pass' : 'theme-contrast-fail', text));
+    });
+}
 
-    // Set type class
-    modalContent.className = 'modal-content';
-    if (type) {
-        modalContent.classList.add(type);
+function getThemeContrastChecks(theme) {
+    return [
+        { label: 'Text on background', ratio: getContrastRatio(theme.fontColor, theme.background) },
+        ...HIGHLIGHT_COLORS.map(entry => ({
+            label: `Text on ${entry.name}`,
+            ratio: getContrastRatio(theme.fontColor, theme.palette[entry.name])
+        }))
+    ];
+}
+
+function validateThemeDraft(theme) {
+    const errors = [];
+    if (!theme.name) errors.push('Give the theme a name.');
+    if (loadThemes().some(other => other.id !== theme.id && getThemeName(other) === theme.name)) {
+        errors.push('Another theme already has this name.');
+    }
+    if (!getContrastLevel(getContrastRatio(theme.fontColor, theme.background))) {
+        errors.push('The text colour needs more contrast with the background (at least 4.5:1).');
     }
+    return errors;
+}
 
-    // Show modal
-    modal.classList.add('visible');
+// Returns whether the theme was saved
+function saveThemeDraft() {
+    readThemeDraft();
+    const errors = validateThemeDraft(themeDraft);
+    if (errors.length > 0) {
+        setThemeStatus(errors.join(' '));
+        return false;
+    }
 
-    // Speak the message
-    speakText(message);
-}
+    // The built-in theme is never changed, so editing it saves a new theme
+    if (!themeDraft.id || themeDraft.id === CLASSIC_THEME.id) {
+        themeDraft.id = `theme-${Date.now()}`;
+    }
 
-function closeScreen7Modal(event) {
-    // If clicking on the overlay (not the content), close
-    if (event && event.target !== event.currentTarget) {
-        return;
+    const themes = loadThemes();
+    const index = themes.findIndex(theme => theme.id === themeDraft.id);
+    if (index === -1) {
+        themes.push({ ...themeDraft });
+    } else {
+        themes[index] = { ...themeDraft };
+    }
+    try {
+        saveThemes(themes);
+    } catch (error) {
+        console.error('Could not save themes:', error);
+        setThemeStatus(`Could not save "${themeDraft.name}": this browser's storage is full or blocked.`);
+        return false;
     }
 
-    const modal = document.getElementById('screen7-modal');
-    modal.classList.remove('visible');
+    // Keep the student's screen up to date when the theme in use was changed
+    if (activeTheme.id === themeDraft.id) {
+        applyTheme(getTheme(themeDraft.id));
+    } else {
+        renderThemeSelector();
+    }
+    renderThemeEditor();
+    setThemeStatus(`Saved "${themeDraft.name}". Students can pick it in the Theme menu.`);
+    return true;
 }
 
-function closeScreen7ModalSilent() {
-    const modal = document.getElementById('screen7-modal');
-    if (modal) {
-        modal.classList.remove('visible');
+function useThemeDraft() {
+    if (saveThemeDraft()) {
+        selectTheme(getTheme(themeDraft.id));
+        setThemeStatus(`${activeProfile} is now using "${themeDraft.name}".`);
     }
 }
 
-function resetScreen7() {
-    // Reset state
-    screen7SelectedColor = null;
-    screen7EraserMode = false;
-    screen7WordColors = {};
+function deleteTheme(id) {
+    try {
+        saveThemes(loadThemes().filter(theme => theme.id !== id));
+    } catch (error) {
+        console.error('Could not save themes:', error);
+        setThemeStatus('Could not delete the theme: this browser\'s storage is full or blocked.');
+        return;
+    }
+    if (activeTheme.id === id) {
+        selectTheme(CLASSIC_THEME);
+    } else {
+        renderThemeSelector();
+    }
+    if (themeDraft.id === id) {
+        startNewTheme();
+    } else {
+        renderSavedThemeList();
+    }
+}
 
-    // Clear word highlights
-    const screen7Words = document.querySelectorAll('#screen7-options .s7-word');
-    screen7Words.forEach(word => {
-        word.style.backgroundColor = '';
-        word.classList.remove('highlighted', 'flash');
-    });
+function renderSavedThemeList() {
+    const list = document.getElementById('theme-saved-list');
+    list.innerHTML = '';
 
-    // Clear color button selections
-    const colorButtons = document.querySelectorAll('.s7-color');
-    colorButtons.forEach(btn => btn.classList.remove('selected'));
-    const eraserBtn = document.getElementById('screen7-eraser');
-    if (eraserBtn) eraserBtn.classList.remove('selected');
+    loadThemes().forEach(theme => {
+        const item = createElement('li', 'editor-saved-item');
+        item.appendChild(createElement('span', 'editor-saved-stem', getThemeName(theme)));
 
-    // Reset checkboxes
-    const screen7Checkboxes = document.querySelectorAll('input[name="screen7-answer"]');
-    screen7Checkboxes.forEach(cb => cb.checked = false);
+        const editBtn = createElement('button', 'editor-btn', 'Edit');
+        editBtn.addEventListener('click', () => editTheme(theme.id));
+        item.appendChild(editBtn);
 
-    // Reset and hide check button
-    const checkBtn = document.getElementById('screen7-check-btn');
-    if (checkBtn) {
-        checkBtn.textContent = 'CHECK YOUR ANSWER';
-        checkBtn.onclick = checkScreen7Answer;
-        checkBtn.disabled = false;
-        checkBtn.classList.add('hidden');
-    }
+        if (theme !== CLASSIC_THEME) {
+            const deleteBtn = createElement('button', 'editor-btn editor-remove-btn', 'Delete');
+            deleteBtn.addEventListener('click', () => deleteTheme(theme.id));
+            item.appendChild(deleteBtn);
+        }
 
-    // Hide modal
-    closeScreen7ModalSilent();
+        list.appendChild(item);
+    });
+}
 
-    // Hide result
-    const resultDiv = document.getElementById('screen7-result');
-    if (resultDiv) {
-        resultDiv.classList.add('hidden');
-        resultDiv.innerHTML = '';
-    }
+function setThemeStatus(message) {
+    document.getElementById('theme-status').textContent = message;
 }
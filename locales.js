@@ -0,0 +1,695 @@
+/**
+ * Dyslexia Aid - Message Catalogs
+ * Every string the students see or hear, one catalog per locale.
+ *
+ * {
+ *     'en-US': {
+ *         name: 'English (United States)',  // shown in the Language menu
+ *         fallback: 'en-AU',                 // locale to take missing messages from
+ *         messages: { 'nav.next': 'Next', 'practice.highlightWord': 'Highlight the word {word} with {colour}.' }
+ *     }
+ * }
+ * {name} placeholders are filled in by t(key, params) in app.js. en-AU is the complete
+ * catalog; the others only need the messages that differ from their fallback.
+ */
+const LOCALES = {
+    'en-AU': {
+        name: 'English (Australia)',
+        fallback: null,
+        messages: {
+            'app.title': 'Dyslexia Aid - Multiple Choice Strategies',
+
+            // Controls bar
+            'controls.font': 'Font:',
+            'controls.selectFont': 'Select font',
+            'font.unavailable': 'not available',
+            'controls.fontColour': 'Font Colour:',
+            'controls.background': 'Background:',
+            'controls.theme': 'Theme:',
+            'theme.classic': 'Classic',
+            'controls.colourMarkers': 'Colour Markers:',
+            'markers.off': 'Colour only',
+            'markers.pattern': 'Patterns',
+            'markers.shape': 'Shapes',
+            'controls.text': 'Text:',
+            'controls.textSettings': 'Size and spacing',
+            'text.size': 'Text size',
+            'text.letterSpacing': 'Letter spacing',
+            'text.wordSpacing': 'Word spacing',
+            'text.lineHeight': 'Line height',
+            'text.reset': 'Reset to theme',
+            'controls.readingRuler': 'Reading ruler:',
+            'controls.rulerColour': 'Ruler colour',
+            'controls.rulerHeight': 'Ruler height',
+            'ruler.clear': 'Clear',
+            'ruler.yellow': 'Yellow',
+            'ruler.blue': 'Blue',
+            'ruler.pink': 'Pink',
+            'ruler.green': 'Green',
+            'ruler.oneLine': '1 line',
+            'ruler.lines': '{count} lines',
+            'controls.speech': 'Speech:',
+            'controls.speechSettings': 'Settings',
+            'controls.student': 'Student:',
+            'controls.selectStudent': 'Select student',
+            'controls.addStudent': 'Add student...',
+            'controls.studentNamePrompt': 'Student name:',
+            'controls.language': 'Language:',
+            'controls.selectLanguage': 'Select language',
+            'controls.switchScanning': 'Switch scanning:',
+            'controls.scanSpeed': 'Scanning speed',
+            'scan.slow': 'Slow',
+            'scan.medium': 'Medium',
+            'scan.fast': 'Fast',
+            'controls.tutor': 'Tutor:',
+            'controls.questions': 'Questions',
+            'controls.history': 'History',
+            'controls.dashboard': 'Dashboard',
+            'controls.themes': 'Themes',
+            'swatch.darkBlue': 'Dark Blue',
+            'swatch.darkBlueFont': 'Dark blue font',
+            'swatch.darkTeal': 'Dark Teal',
+            'swatch.darkTealFont': 'Dark teal font',
+            'swatch.darkPurple': 'Dark Purple',
+            'swatch.darkPurpleFont': 'Dark purple font',
+            'swatch.darkGrey': 'Dark Grey',
+            'swatch.darkGreyFont': 'Dark grey font',
+            'swatch.lightBlue': 'Light Blue',
+            'swatch.lightBlueBackground': 'Light blue background',
+            'swatch.lightPurple': 'Light Purple',
+            'swatch.lightPurpleBackground': 'Light purple background',
+            'swatch.cream': 'Cream',
+            'swatch.creamBackground': 'Cream background',
+            'swatch.lightGreen': 'Light Green',
+            'swatch.lightGreenBackground': 'Light green background',
+
+            // Speech settings and controls
+            'speech.voice': 'Voice',
+            'speech.speed': 'Speed',
+            'speech.pitch': 'Pitch',
+            'speech.preview': 'Preview',
+            'speech.previewText': 'Hello! This is how I will sound when I read to you.',
+            'speech.automaticVoice': 'Automatic (Australian)',
+            'speech.voiceMissing': '{voice} (not on this device)',
+            'speech.otherLanguage': 'Other',
+            'speechControls.label': 'Speech controls',
+            'speechControls.pause': 'Pause',
+            'speechControls.resume': 'Resume',
+            'speechControls.skip': 'Skip',
+            'speechControls.stop': 'Stop',
+
+            // Shared buttons
+            'nav.back': 'Back',
+            'nav.next': 'Next',
+            'aria.newScreen': 'New screen',
+            'aria.colouredWith': 'Coloured {colour}',
+            'aria.wordColoured': '{word} coloured {colour}.',
+            'aria.wordsColoured': 'Every {word} coloured {colour}.',
+            'aria.wordCleared': '{word} is not coloured.',
+            'common.stop': 'Stop',
+            'common.ok': 'OK',
+            'common.speakerIcon': 'Speaker icon',
+            'listen.button': 'Listen',
+            'listen.content': 'Listen to content',
+            'listen.stop': 'Stop listening',
+            'list.and': 'and',
+
+            // Highlight colours, as they are spoken
+            'colour.pink': 'pink',
+            'colour.green': 'green',
+            'colour.yellow': 'yellow',
+            'colour.grey': 'grey',
+            'colour.blue': 'blue',
+            'colour.teal': 'teal',
+            'colour.red': 'red',
+            'colour.unknown': 'this colour',
+            'colour.withPattern': '{colour} with {pattern}',
+            'colour.withShape': '{colour} {shape}',
+            'pattern.stripes': 'stripes',
+            'pattern.dots': 'dots',
+            'pattern.crosshatch': 'criss-cross lines',
+            'pattern.lines': 'lines',
+            'pattern.bars': 'bars',
+            'pattern.checks': 'checks',
+            'pattern.underline': 'a thick underline',
+            'shape.triangle': 'triangle',
+            'shape.circle': 'circle',
+            'shape.star': 'star',
+            'shape.diamond': 'diamond',
+            'shape.square': 'square',
+            'shape.cross': 'cross',
+            'shape.heart': 'heart',
+
+            // Screens 1 to 3
+            'screen1.title': 'Multiple Choice Predicting Strategies',
+            'screen1.intro': 'Educated predicting strategies are not a substitute for good study habits and test preparation. They are not foolproof and will not guarantee the correct answer. Predictive strategies, however, help when you are not completely sure of the answer, and will assist you to either narrow down the choices or to choose between two reasonably good answers. Using these strategies will assist to improve your test results.',
+            'screen1.strategies': 'Strategies',
+            'screen2.title': 'Strategy 1: Frequency of occurrence strategy',
+            'screen3.intro': 'Let\'s have a look at how this strategy works. Listen to the question and follow the instructions to work out the answer.',
+
+            // Screen 4 demo
+            'demo.heading': 'Practice multiple choice question 1 with guidance.',
+            'demo.label': 'Demo Question',
+            'demo.question': 'What are the major languages spoken in the Caribbean Islands?',
+            'demo.instruction': 'Click on Start the Demo for the demonstration',
+            'demo.word.spanish': 'Spanish',
+            'demo.word.greek': 'Greek',
+            'demo.word.english': 'English',
+            'demo.word.chinese': 'Chinese',
+            'demo.word.dutch': 'Dutch',
+            'demo.word.italian': 'Italian',
+            'demo.start': 'Start the demo',
+            'demo.inProgress': 'Demo in progress...',
+            'demo.replay': 'Replay the demo',
+            'demo.chooseColour': 'Let\'s choose the colour {colour} for {word}',
+            'demo.strategy': 'The frequency of occurrence strategy is when the answer appears in more than one of the answers.',
+            'demo.answer': 'Using this strategy the answer is b. Spanish and English.',
+
+            // Screen 5 guided practice
+            'practice.intro': 'Time to have a go. Listen and read the question. Then highlight the answer, even if you may not know the answer.',
+            'practice.title': 'Practice question for student:',
+            'practice.strategyInstruction': 'Based on the Multiple Choice Predicting Strategy, look for items that appear in more than one of the multiple choices. The answer with the most number of occurrences is the right answer. Please tick the box with the correct answer.',
+            'practice.listenStrategyInstruction': 'Listen to strategy instruction',
+            'practice.congratulations': 'Congratulations on working on a year 12 psychology exam question.',
+            'practice.strategyWorked': 'Even if you did not know the answer, the strategy worked!',
+            'practice.wellDone': 'Well done!',
+            'practice.highlightWord': 'Highlight the word {word} with {colour}.',
+            'practice.wrongWord': 'That\'s {word}. Please highlight {expected}.',
+
+            // Question screens
+            'question.defaultHeading': 'Please attempt this question yourself.',
+            'question.instructionsPrefix': 'Instructions:',
+            'question.freeInstructions': 'Instructions: Colour code the answers using the colour picker. Click on a colour to start coding. After you\'re done, tick the correct answer.',
+            'question.tickInstructions': 'Instructions: Use the strategy to work out the answer, then tick the correct answer.',
+            'question.listenQuestion': 'Listen to question',
+            'question.listenInstruction': 'Listen to instruction',
+            'question.listenInstructions': 'Listen to instructions',
+            'question.colourFor': '{colour} for {word}',
+            'question.eraser': 'Eraser',
+            'question.undo': 'Undo',
+            'question.redo': 'Redo',
+            'question.check': 'Check your answer',
+            'question.explanation': 'Explanation',
+            'question.resetAndTryAgain': 'Reset and try again',
+            'question.pickColourFirst': 'Please select a colour from the colour picker first.',
+            'question.finishColourCoding': 'Please finish colour coding all options.',
+            'question.tickAnAnswer': 'Please select an answer by ticking one of the checkboxes.',
+            'question.correct': 'That is the correct answer. Good job!',
+            'question.correctColourMixedUp': 'That is the correct answer. But the colour coding was a bit mixed up.',
+            'question.wrong': 'Sorry! That is the wrong answer.',
+            'question.wrongColourMixedUp': 'Sorry! That is the wrong answer. Also, the colour coding was a bit mixed up.',
+            'diagnosis.inconsistent': '{word} is {colour} in option {option} but {otherColour} in option {otherOption}.',
+            'diagnosis.shared': '{word} and {otherWord} are different words, but they are both {colour}.',
+            'history.undoColour': 'Undone. {word} is {colour} again.',
+            'history.undoClear': 'Undone. {word} is not coloured any more.',
+            'history.redoColour': 'Redone. {word} is {colour}.',
+            'history.redoClear': 'Redone. {word} is not coloured any more.',
+            'history.nothingToUndo': 'There is nothing to undo.',
+            'history.nothingToRedo': 'There is nothing to redo.',
+            'assist.showWhereElse': 'Show where else this word appears',
+            'assist.appearsOnce': '{word} only appears once.',
+            'assist.appearsMany': '{word} appears {count} times.',
+            'assist.pickWordFirst': 'Click a word first, then I can show you where else it appears.',
+            'assist.offerOne': '{word} appears once more. Colour it {colour} too?',
+            'assist.offerMany': '{word} appears {count} more times. Colour them all {colour} too?',
+            'assist.yes': 'Yes',
+            'assist.no': 'No',
+            'assist.colouredAll': 'Every {word} is now {colour}.',
+            'assist.level.off': 'Off',
+            'assist.level.hint': 'Show where else a word appears',
+            'assist.level.offer': 'Offer to colour matching words',
+            'assist.level.auto': 'Colour matching words automatically',
+            'hint.button': 'Hint',
+            'hint.uncoloured': '{word} has not been coloured yet. Give it a colour.',
+            'hint.allColoured': 'Every word has a colour. Check that the same words have the same colour.',
+            'hint.repeated': '{term} appears {count} times, in options {options}.',
+            'hint.twoOptions': 'The answer is either {first} or {second}.',
+
+            // Frequency of occurrence explanations
+            'frequency.termCountOne': 'There is {count} answer that is coloured {colour} for {term}.',
+            'frequency.termCountMany': 'There are {count} answers that are coloured {colour} for {term}.',
+            'frequency.appearsIn': '{term} appears in options {options}.',
+            'frequency.tied': 'The strategy cannot choose between {options}, so use what you know to pick between them.',
+            'frequency.noRepeats': 'None of the words appear in more than one option, so the strategy cannot help with this question.',
+            'frequency.predictionOne': 'Based on the strategy, the answer is {option} as the word {words} appears most frequently across the options.',
+            'frequency.predictionMany': 'Based on the strategy, the answer is {option} as the words {words} appear most frequently across the options.',
+
+            // Adaptive practice
+            'adaptive.open': 'Keep practising',
+            'adaptive.title': 'Keep practising',
+            'adaptive.next': 'Next question',
+            'adaptive.review': 'You found this one tricky before, so let\'s try it again.',
+            'adaptive.supported': 'This time each colour in the picker is for one word. Pick a colour to hear which word it is for.',
+            'adaptive.free': 'Colour code this one on your own.',
+            'adaptive.empty': 'There are no colour coding questions to practise yet.',
+
+            // Practice test
+            'test.open': 'Practice test',
+            'test.title': 'Practice test',
+            'test.intro': 'Answer the questions like in a real test. There are no hints, and you will see your results and the explanations at the end.',
+            'test.length': 'Questions:',
+            'test.allQuestions': 'All ({count})',
+            'test.timeLimit': 'Time limit:',
+            'test.noLimit': 'No time limit',
+            'test.minutes': '{count} minutes',
+            'test.start': 'Start test',
+            'test.progress': 'Question {number} of {total}',
+            'test.timeLeft': 'Time left: {time}',
+            'test.warningMinutes': '{count} minutes left.',
+            'test.warningOneMinute': '1 minute left.',
+            'test.warningSeconds': '{count} seconds left.',
+            'test.timeUp': 'Time is up. Let\'s see how you went.',
+            'test.previous': 'Previous question',
+            'test.next': 'Next question',
+            'test.finish': 'Finish test',
+            'test.score': 'You got {correct} out of {total} right.',
+            'test.questionCorrect': 'Question {number}: right.',
+            'test.questionWrong': 'Question {number}: you ticked {chosen}, the answer is {correct}.',
+            'test.questionUnanswered': 'Question {number}: not answered, the answer is {correct}.',
+            'test.colourCodingRight': 'Your colour coding was right.',
+            'test.colourCodingMixedUp': 'Your colour coding was a bit mixed up.',
+            'test.colourCodingUnfinished': 'Some of the words were not colour coded.',
+            'test.termCountUncolouredOne': 'There is {count} answer with {term}, which you did not colour.',
+            'test.termCountUncolouredMany': 'There are {count} answers with {term}, which you did not colour.',
+            'test.listen': 'Listen to the explanation',
+            'test.again': 'Take another test',
+
+            // Strategies
+            'strategy.title': 'Strategy {number}: {name}',
+            'strategy.demoHeading': '{title} - demo',
+            'strategy.listen': 'Listen to strategy',
+            'strategy.answer': 'Using this strategy the answer is {option}.',
+            'strategy.chooseBetween': 'Now use what you know to choose between {options}.',
+            'strategy.thatLeaves': 'That leaves option {option}.',
+            'strategy.frequency.name': 'Frequency of occurrence strategy',
+            'strategy.frequency.intro': 'Look for items that appear in more than one of the multiple choices even if you may not know the answer.',
+            'strategy.longest.name': 'Longest answer strategy',
+            'strategy.longest.intro': 'When one answer is much longer and more detailed than the others, it is often the correct one. Test writers add detail to make the right answer completely true.',
+            'strategy.all-of-the-above.name': 'All of the above strategy',
+            'strategy.all-of-the-above.intro': 'If one of the answers is "all of the above" and at least two of the other answers look right, choose all of the above.',
+            'strategy.opposites.name': 'Opposite answers strategy',
+            'strategy.opposites.intro': 'When two answers say the opposite of each other, one of them is usually correct. Cross out the other answers and choose between the two opposites.',
+            'strategy.absolute.name': 'Absolute words strategy',
+            'strategy.absolute.intro': 'Answers with absolute words like always, never, all, none or only are usually wrong, because very few things are always true. Softer words like usually, often or can are more likely to be right.',
+            'strategy.grammar.name': 'Grammar agreement strategy',
+            'strategy.grammar.intro': 'The right answer has to fit the grammar of the question. If the question ends with "an", the answer starts with a vowel sound. If it ends with "are", the answer is plural.',
+
+            'longest.wordCountOne': 'Option {option} has {count} word.',
+            'longest.wordCountMany': 'Option {option} has {count} words.',
+            'longest.noHelp': 'None of the answers is much longer or more detailed than the others, so this strategy does not help here.',
+            'longest.answer': 'Option {option} is the longest and most detailed answer, so it is most likely to be correct.',
+
+            'allOfTheAbove.noHelp': 'None of the answers says all of the above, so this strategy does not help here.',
+            'allOfTheAbove.says': 'Option {option} says "{text}".',
+            'allOfTheAbove.othersLookRight': 'Options {options} each look like a reasonable answer on their own.',
+            'allOfTheAbove.rule': 'When two or more of the answers look right, all of the above is usually the correct answer.',
+
+            'opposites.pair': 'Options {options} are opposites: {first} and {second}.',
+            'opposites.crossOut': 'When two answers are opposites, one of them is usually correct, so cross out the others.',
+            'opposites.noHelp': 'None of the answers are opposites of each other, so this strategy does not help here.',
+
+            'absolute.crossOutOne': 'Option {option} uses the absolute word {words}, so cross it out.',
+            'absolute.crossOutMany': 'Option {option} uses the absolute words {words}, so cross it out.',
+            'absolute.noHelp': 'This strategy cannot cross out any answers here, because the absolute words do not leave a clear choice.',
+            'absolute.softer': 'Option {option} uses the softer word "{word}", so it is most likely to be correct.',
+
+            'grammar.needsVowel': 'The question ends with "{word}", so the answer must start with a vowel sound.',
+            'grammar.needsConsonant': 'The question ends with "{word}", so the answer must start with a consonant sound.',
+            'grammar.needsPlural': 'The question ends with "{word}", so the answer must be plural.',
+            'grammar.needsSingular': 'The question ends with "{word}", so the answer must be singular.',
+            'grammar.notVowel': 'Option {option} does not start with a vowel sound, so cross it out.',
+            'grammar.notConsonant': 'Option {option} does not start with a consonant sound, so cross it out.',
+            'grammar.notPlural': 'Option {option} is not plural, so cross it out.',
+            'grammar.notSingular': 'Option {option} is not singular, so cross it out.',
+            'grammar.noRule': 'The question does not end with a word the answer has to agree with, so this strategy does not help here.',
+            'grammar.noHelp': 'Every answer fits the grammar equally, so this strategy does not help here.',
+
+            // Words the strategies look for in questions of this language, separated by spaces
+            // ("/" joins opposite pairs, "|" separates the all of the above phrases)
+            'analysis.listWords': 'and or',
+            'analysis.articles': 'a an the',
+            'analysis.absoluteWords': 'always never all none every everyone everybody everything nobody nothing only must ever completely totally entirely forever',
+            'analysis.qualifierWords': 'usually often sometimes can may might generally some many most probably could seldom rarely',
+            'analysis.opposites': 'increase/decrease increases/decreases up/down more/less higher/lower hot/cold hotter/colder rises/falls before/after true/false fast/slow faster/slower expands/contracts gains/loses positive/negative larger/smaller bigger/smaller above/below strong/weak stronger/weaker heats/cools open/closed inside/outside',
+            'analysis.allOfTheAbove': 'all of the above|all of these'
+        }
+    },
+
+    'en-US': {
+        name: 'English (United States)',
+        fallback: 'en-AU',
+        messages: {
+            'controls.fontColour': 'Font Color:',
+            'controls.colourMarkers': 'Color Markers:',
+            'markers.off': 'Color only',
+            'controls.rulerColour': 'Ruler color',
+            'adaptive.open': 'Keep practicing',
+            'adaptive.title': 'Keep practicing',
+            'adaptive.supported': 'This time each color in the picker is for one word. Pick a color to hear which word it is for.',
+            'adaptive.free': 'Color code this one on your own.',
+            'adaptive.empty': 'There are no color coding questions to practice yet.',
+            'test.colourCodingRight': 'Your color coding was right.',
+            'test.colourCodingMixedUp': 'Your color coding was a bit mixed up.',
+            'test.colourCodingUnfinished': 'Some of the words were not color coded.',
+            'test.termCountUncolouredOne': 'There is {count} answer with {term}, which you did not color.',
+            'test.termCountUncolouredMany': 'There are {count} answers with {term}, which you did not color.',
+            'swatch.darkGrey': 'Dark Gray',
+            'swatch.darkGreyFont': 'Dark gray font',
+            'speech.automaticVoice': 'Automatic (American)',
+            'colour.grey': 'gray',
+            'colour.unknown': 'this color',
+            'demo.chooseColour': 'Let\'s choose the color {colour} for {word}',
+            'question.freeInstructions': 'Instructions: Color code the answers using the color picker. Click on a color to start coding. After you\'re done, check the correct answer.',
+            'question.tickInstructions': 'Instructions: Use the strategy to work out the answer, then check the correct answer.',
+            'question.pickColourFirst': 'Please select a color from the color picker first.',
+            'question.finishColourCoding': 'Please finish color coding all options.',
+            'question.tickAnAnswer': 'Please select an answer by checking one of the checkboxes.',
+            'question.correctColourMixedUp': 'That is the correct answer. But the color coding was a bit mixed up.',
+            'question.wrongColourMixedUp': 'Sorry! That is the wrong answer. Also, the color coding was a bit mixed up.',
+            'history.undoClear': 'Undone. {word} is not colored any more.',
+            'history.redoClear': 'Redone. {word} is not colored any more.',
+            'aria.colouredWith': 'Colored {colour}',
+            'aria.wordColoured': '{word} colored {colour}.',
+            'aria.wordsColoured': 'Every {word} colored {colour}.',
+            'aria.wordCleared': '{word} is not colored.',
+            'assist.offerOne': '{word} appears once more. Color it {colour} too?',
+            'assist.offerMany': '{word} appears {count} more times. Color them all {colour} too?',
+            'assist.level.offer': 'Offer to color matching words',
+            'assist.level.auto': 'Color matching words automatically',
+            'hint.uncoloured': '{word} has not been colored yet. Give it a color.',
+            'hint.allColoured': 'Every word has a color. Check that the same words have the same color.',
+            'practice.strategyInstruction': 'Based on the Multiple Choice Predicting Strategy, look for items that appear in more than one of the multiple choices. The answer with the most number of occurrences is the right answer. Please check the box with the correct answer.',
+            'practice.congratulations': 'Congratulations on working on a 12th grade psychology exam question.',
+            'frequency.termCountOne': 'There is {count} answer that is colored {colour} for {term}.',
+            'frequency.termCountMany': 'There are {count} answers that are colored {colour} for {term}.'
+        }
+    },
+
+    'fr-FR': {
+        name: 'Français',
+        fallback: 'en-AU',
+        messages: {
+            'app.title': 'Dyslexia Aid - Stratégies pour les QCM',
+
+            'controls.font': 'Police :',
+            'controls.selectFont': 'Choisir la police',
+            'font.unavailable': 'indisponible',
+            'controls.fontColour': 'Couleur du texte :',
+            'controls.background': 'Fond :',
+            'controls.theme': 'Thème :',
+            'theme.classic': 'Classique',
+            'controls.colourMarkers': 'Repères de couleur :',
+            'markers.off': 'Couleur seule',
+            'markers.pattern': 'Motifs',
+            'markers.shape': 'Formes',
+            'controls.text': 'Texte :',
+            'controls.textSettings': 'Taille et espacement',
+            'text.size': 'Taille du texte',
+            'text.letterSpacing': 'Espacement des lettres',
+            'text.wordSpacing': 'Espacement des mots',
+            'text.lineHeight': 'Interligne',
+            'text.reset': 'Revenir au thème',
+            'controls.readingRuler': 'Règle de lecture :',
+            'controls.rulerColour': 'Couleur de la règle',
+            'controls.rulerHeight': 'Hauteur de la règle',
+            'ruler.clear': 'Transparente',
+            'ruler.yellow': 'Jaune',
+            'ruler.blue': 'Bleue',
+            'ruler.pink': 'Rose',
+            'ruler.green': 'Verte',
+            'ruler.oneLine': '1 ligne',
+            'ruler.lines': '{count} lignes',
+            'controls.speech': 'Lecture :',
+            'controls.speechSettings': 'Réglages',
+            'controls.student': 'Élève :',
+            'controls.selectStudent': 'Choisir l\'élève',
+            'controls.addStudent': 'Ajouter un élève...',
+            'controls.studentNamePrompt': 'Nom de l\'élève :',
+            'controls.language': 'Langue :',
+            'controls.selectLanguage': 'Choisir la langue',
+            'controls.switchScanning': 'Défilement :',
+            'controls.scanSpeed': 'Vitesse de défilement',
+            'scan.slow': 'Lent',
+            'scan.medium': 'Moyen',
+            'scan.fast': 'Rapide',
+            'controls.tutor': 'Enseignant :',
+            'controls.questions': 'Questions',
+            'controls.history': 'Historique',
+            'controls.dashboard': 'Tableau de bord',
+            'controls.themes': 'Thèmes',
+            'swatch.darkBlue': 'Bleu foncé',
+            'swatch.darkBlueFont': 'Texte bleu foncé',
+            'swatch.darkTeal': 'Bleu canard foncé',
+            'swatch.darkTealFont': 'Texte bleu canard foncé',
+            'swatch.darkPurple': 'Violet foncé',
+            'swatch.darkPurpleFont': 'Texte violet foncé',
+            'swatch.darkGrey': 'Gris foncé',
+            'swatch.darkGreyFont': 'Texte gris foncé',
+            'swatch.lightBlue': 'Bleu clair',
+            'swatch.lightBlueBackground': 'Fond bleu clair',
+            'swatch.lightPurple': 'Violet clair',
+            'swatch.lightPurpleBackground': 'Fond violet clair',
+            'swatch.cream': 'Crème',
+            'swatch.creamBackground': 'Fond crème',
+            'swatch.lightGreen': 'Vert clair',
+            'swatch.lightGreenBackground': 'Fond vert clair',
+
+            'speech.voice': 'Voix',
+            'speech.speed': 'Vitesse',
+            'speech.pitch': 'Hauteur',
+            'speech.preview': 'Écouter',
+            'speech.previewText': 'Bonjour ! Voici ma voix quand je te lis le texte.',
+            'speech.automaticVoice': 'Automatique (français)',
+            'speech.voiceMissing': '{voice} (absente de cet appareil)',
+            'speech.otherLanguage': 'Autre',
+            'speechControls.label': 'Commandes de lecture',
+            'speechControls.pause': 'Pause',
+            'speechControls.resume': 'Reprendre',
+            'speechControls.skip': 'Passer',
+            'speechControls.stop': 'Arrêter',
+
+            'nav.back': 'Retour',
+            'nav.next': 'Suivant',
+            'aria.newScreen': 'Nouvel écran',
+            'aria.colouredWith': 'Colorié en {colour}',
+            'aria.wordColoured': '{word} colorié en {colour}.',
+            'aria.wordsColoured': 'Chaque {word} colorié en {colour}.',
+            'aria.wordCleared': '{word} n\'est plus colorié.',
+            'common.stop': 'Arrêter',
+            'common.ok': 'OK',
+            'common.speakerIcon': 'Icône de haut-parleur',
+            'listen.button': 'Écouter',
+            'listen.content': 'Écouter le texte',
+            'listen.stop': 'Arrêter la lecture',
+            'list.and': 'et',
+
+            'colour.pink': 'rose',
+            'colour.green': 'vert',
+            'colour.yellow': 'jaune',
+            'colour.grey': 'gris',
+            'colour.blue': 'bleu',
+            'colour.teal': 'bleu canard',
+            'colour.red': 'rouge',
+            'colour.unknown': 'cette couleur',
+            'colour.withPattern': '{colour} avec {pattern}',
+            'colour.withShape': '{shape} {colour}',
+            'pattern.stripes': 'des rayures',
+            'pattern.dots': 'des points',
+            'pattern.crosshatch': 'des croisillons',
+            'pattern.lines': 'des lignes',
+            'pattern.bars': 'des barres',
+            'pattern.checks': 'des carreaux',
+            'pattern.underline': 'un gros soulignement',
+            'shape.triangle': 'triangle',
+            'shape.circle': 'rond',
+            'shape.star': 'étoile',
+            'shape.diamond': 'losange',
+            'shape.square': 'carré',
+            'shape.cross': 'croix',
+            'shape.heart': 'cœur',
+
+            'screen1.title': 'Stratégies pour deviner la réponse d\'un QCM',
+            'screen1.intro': 'Ces stratégies ne remplacent pas de bonnes habitudes de travail ni la préparation aux contrôles. Elles ne sont pas infaillibles et ne garantissent pas la bonne réponse. Elles t\'aident cependant quand tu n\'es pas tout à fait sûr de la réponse, pour éliminer des choix ou pour choisir entre deux réponses qui semblent bonnes. Utiliser ces stratégies t\'aidera à améliorer tes résultats.',
+            'screen1.strategies': 'Stratégies',
+            'screen2.title': 'Stratégie 1 : la fréquence d\'apparition',
+            'screen3.intro': 'Voyons comment fonctionne cette stratégie. Écoute la question et suis les consignes pour trouver la réponse.',
+
+            'demo.heading': 'Question à choix multiples 1, avec de l\'aide.',
+            'demo.label': 'Question de démonstration',
+            'demo.question': 'Quelles sont les principales langues parlées dans les îles des Caraïbes ?',
+            'demo.instruction': 'Clique sur Lancer la démonstration',
+            'demo.word.spanish': 'espagnol',
+            'demo.word.greek': 'grec',
+            'demo.word.english': 'anglais',
+            'demo.word.chinese': 'chinois',
+            'demo.word.dutch': 'néerlandais',
+            'demo.word.italian': 'italien',
+            'demo.start': 'Lancer la démonstration',
+            'demo.inProgress': 'Démonstration en cours...',
+            'demo.replay': 'Revoir la démonstration',
+            'demo.chooseColour': 'Choisissons la couleur {colour} pour {word}',
+            'demo.strategy': 'La stratégie de la fréquence d\'apparition consiste à repérer ce qui apparaît dans plus d\'une réponse.',
+            'demo.answer': 'Avec cette stratégie, la réponse est b. espagnol et anglais.',
+
+            'practice.intro': 'À toi de jouer. Écoute et lis la question. Ensuite, surligne la réponse, même si tu ne la connais pas.',
+            'practice.title': 'Question d\'entraînement :',
+            'practice.strategyInstruction': 'D\'après la stratégie des QCM, cherche ce qui apparaît dans plus d\'une des réponses. La réponse qui revient le plus souvent est la bonne. Coche la case de la bonne réponse.',
+            'practice.listenStrategyInstruction': 'Écouter la consigne de la stratégie',
+            'practice.congratulations': 'Bravo, tu as travaillé sur une question d\'examen de psychologie de terminale.',
+            'practice.strategyWorked': 'Même si tu ne connaissais pas la réponse, la stratégie a fonctionné !',
+            'practice.wellDone': 'Bien joué !',
+            'practice.highlightWord': 'Surligne le mot {word} en {colour}.',
+            'practice.wrongWord': 'C\'est {word}. Surligne plutôt {expected}.',
+
+            'question.defaultHeading': 'Essaie de répondre à cette question tout seul.',
+            'question.instructionsPrefix': 'Consignes :',
+            'question.freeInstructions': 'Consignes : Colorie les réponses avec la palette de couleurs. Clique sur une couleur pour commencer. Quand tu as fini, coche la bonne réponse.',
+            'question.tickInstructions': 'Consignes : Utilise la stratégie pour trouver la réponse, puis coche la bonne réponse.',
+            'question.listenQuestion': 'Écouter la question',
+            'question.listenInstruction': 'Écouter la consigne',
+            'question.listenInstructions': 'Écouter les consignes',
+            'question.colourFor': '{colour} pour {word}',
+            'question.eraser': 'Gomme',
+            'question.undo': 'Annuler',
+            'question.redo': 'Rétablir',
+            'question.check': 'Vérifier ta réponse',
+            'question.explanation': 'Explication',
+            'question.resetAndTryAgain': 'Effacer et recommencer',
+            'question.pickColourFirst': 'Choisis d\'abord une couleur dans la palette.',
+            'question.finishColourCoding': 'Termine de colorier toutes les réponses.',
+            'question.tickAnAnswer': 'Choisis une réponse en cochant une des cases.',
+            'question.correct': 'C\'est la bonne réponse. Bravo !',
+            'question.correctColourMixedUp': 'C\'est la bonne réponse. Mais les couleurs sont un peu mélangées.',
+            'question.wrong': 'Désolé ! Ce n\'est pas la bonne réponse.',
+            'question.wrongColourMixedUp': 'Désolé ! Ce n\'est pas la bonne réponse. Et les couleurs sont un peu mélangées.',
+            'diagnosis.inconsistent': '{word} est en {colour} dans l\'option {option} mais en {otherColour} dans l\'option {otherOption}.',
+            'diagnosis.shared': '{word} et {otherWord} sont des mots différents, mais ils sont tous les deux en {colour}.',
+            'history.undoColour': 'Annulé. {word} est de nouveau en {colour}.',
+            'history.undoClear': 'Annulé. {word} n\'est plus colorié.',
+            'history.redoColour': 'Rétabli. {word} est en {colour}.',
+            'history.redoClear': 'Rétabli. {word} n\'est plus colorié.',
+            'history.nothingToUndo': 'Il n\'y a rien à annuler.',
+            'history.nothingToRedo': 'Il n\'y a rien à rétablir.',
+            'assist.showWhereElse': 'Montrer où ce mot apparaît encore',
+            'assist.appearsOnce': '{word} n\'apparaît qu\'une fois.',
+            'assist.appearsMany': '{word} apparaît {count} fois.',
+            'assist.pickWordFirst': 'Clique d\'abord sur un mot, puis je te montrerai où il apparaît encore.',
+            'assist.offerOne': '{word} apparaît encore une fois. Le colorier en {colour} aussi ?',
+            'assist.offerMany': '{word} apparaît encore {count} fois. Les colorier tous en {colour} aussi ?',
+            'assist.yes': 'Oui',
+            'assist.no': 'Non',
+            'assist.colouredAll': 'Chaque {word} est maintenant en {colour}.',
+            'assist.level.off': 'Désactivée',
+            'assist.level.hint': 'Montrer où un mot apparaît encore',
+            'assist.level.offer': 'Proposer de colorier les mots identiques',
+            'assist.level.auto': 'Colorier les mots identiques automatiquement',
+            'hint.button': 'Indice',
+            'hint.uncoloured': '{word} n\'est pas encore colorié. Donne-lui une couleur.',
+            'hint.allColoured': 'Chaque mot a une couleur. Vérifie que les mêmes mots ont la même couleur.',
+            'hint.repeated': '{term} apparaît {count} fois, dans les options {options}.',
+            'hint.twoOptions': 'La réponse est soit {first}, soit {second}.',
+
+            'frequency.termCountOne': 'Il y a {count} réponse coloriée en {colour} pour {term}.',
+            'frequency.termCountMany': 'Il y a {count} réponses coloriées en {colour} pour {term}.',
+            'frequency.appearsIn': '{term} apparaît dans les réponses {options}.',
+            'frequency.tied': 'La stratégie ne peut pas choisir entre {options}, alors utilise ce que tu sais pour les départager.',
+            'frequency.noRepeats': 'Aucun mot n\'apparaît dans plus d\'une réponse, donc la stratégie ne peut pas t\'aider pour cette question.',
+            'frequency.predictionOne': 'D\'après la stratégie, la réponse est {option} car le mot {words} apparaît le plus souvent dans les réponses.',
+            'frequency.predictionMany': 'D\'après la stratégie, la réponse est {option} car les mots {words} apparaissent le plus souvent dans les réponses.',
+
+            'adaptive.open': 'Continuer à m\'entraîner',
+            'adaptive.title': 'Continuer à m\'entraîner',
+            'adaptive.next': 'Question suivante',
+            'adaptive.review': 'Cette question t\'a posé problème, alors essayons-la de nouveau.',
+            'adaptive.supported': 'Cette fois, chaque couleur de la palette correspond à un mot. Choisis une couleur pour entendre à quel mot elle correspond.',
+            'adaptive.free': 'Code cette question en couleur tout seul.',
+            'adaptive.empty': 'Il n\'y a pas encore de questions de codage couleur pour s\'entraîner.',
+
+            'test.open': 'Test d\'entraînement',
+            'test.title': 'Test d\'entraînement',
+            'test.intro': 'Réponds aux questions comme dans un vrai contrôle. Il n\'y a pas d\'indices, et tu verras tes résultats et les explications à la fin.',
+            'test.length': 'Questions :',
+            'test.allQuestions': 'Toutes ({count})',
+            'test.timeLimit': 'Temps limite :',
+            'test.noLimit': 'Pas de limite',
+            'test.minutes': '{count} minutes',
+            'test.start': 'Commencer le test',
+            'test.progress': 'Question {number} sur {total}',
+            'test.timeLeft': 'Temps restant : {time}',
+            'test.warningMinutes': 'Il reste {count} minutes.',
+            'test.warningOneMinute': 'Il reste 1 minute.',
+            'test.warningSeconds': 'Il reste {count} secondes.',
+            'test.timeUp': 'Le temps est écoulé. Voyons tes résultats.',
+            'test.previous': 'Question précédente',
+            'test.next': 'Question suivante',
+            'test.finish': 'Terminer le test',
+            'test.score': 'Tu as {correct} bonnes réponses sur {total}.',
+            'test.questionCorrect': 'Question {number} : juste.',
+            'test.questionWrong': 'Question {number} : tu as coché {chosen}, la réponse est {correct}.',
+            'test.questionUnanswered': 'Question {number} : pas de réponse, la réponse est {correct}.',
+            'test.colourCodingRight': 'Ton codage couleur était juste.',
+            'test.colourCodingMixedUp': 'Ton codage couleur était un peu mélangé.',
+            'test.colourCodingUnfinished': 'Certains mots n\'étaient pas codés en couleur.',
+            'test.termCountUncolouredOne': 'Il y a {count} réponse avec {term}, que tu n\'as pas colorié.',
+            'test.termCountUncolouredMany': 'Il y a {count} réponses avec {term}, que tu n\'as pas colorié.',
+            'test.listen': 'Écouter l\'explication',
+            'test.again': 'Faire un autre test',
+
+            'strategy.title': 'Stratégie {number} : {name}',
+            'strategy.demoHeading': '{title} - démonstration',
+            'strategy.listen': 'Écouter la stratégie',
+            'strategy.answer': 'Avec cette stratégie, la réponse est {option}.',
+            'strategy.chooseBetween': 'Maintenant, utilise ce que tu sais pour choisir entre {options}.',
+            'strategy.thatLeaves': 'Il reste la réponse {option}.',
+            'strategy.frequency.name': 'la fréquence d\'apparition',
+            'strategy.frequency.intro': 'Cherche ce qui apparaît dans plus d\'une des réponses, même si tu ne connais pas la réponse.',
+            'strategy.longest.name': 'la réponse la plus longue',
+            'strategy.longest.intro': 'Quand une réponse est beaucoup plus longue et détaillée que les autres, c\'est souvent la bonne. Les auteurs ajoutent des détails pour que la bonne réponse soit tout à fait vraie.',
+            'strategy.all-of-the-above.name': '« toutes ces réponses »',
+            'strategy.all-of-the-above.intro': 'Si une des réponses est « toutes ces réponses » et qu\'au moins deux des autres réponses semblent justes, choisis « toutes ces réponses ».',
+            'strategy.opposites.name': 'les réponses contraires',
+            'strategy.opposites.intro': 'Quand deux réponses disent le contraire l\'une de l\'autre, l\'une des deux est souvent la bonne. Barre les autres réponses et choisis entre les deux contraires.',
+            'strategy.absolute.name': 'les mots absolus',
+            'strategy.absolute.intro': 'Les réponses avec des mots absolus comme toujours, jamais, tous, aucun ou seulement sont souvent fausses, car très peu de choses sont toujours vraies. Les mots plus nuancés comme souvent, parfois ou peut sont plus souvent justes.',
+            'strategy.grammar.name': 'l\'accord grammatical',
+            'strategy.grammar.intro': 'La bonne réponse doit s\'accorder avec la grammaire de la question. Si la question se termine par « an », la réponse commence par un son de voyelle. Si elle se termine par « are », la réponse est au pluriel.',
+
+            'longest.wordCountOne': 'La réponse {option} a {count} mot.',
+            'longest.wordCountMany': 'La réponse {option} a {count} mots.',
+            'longest.noHelp': 'Aucune réponse n\'est beaucoup plus longue ou plus détaillée que les autres, donc cette stratégie ne t\'aide pas ici.',
+            'longest.answer': 'La réponse {option} est la plus longue et la plus détaillée, donc c\'est sans doute la bonne.',
+
+            'allOfTheAbove.noHelp': 'Aucune réponse ne dit « toutes ces réponses », donc cette stratégie ne t\'aide pas ici.',
+            'allOfTheAbove.says': 'La réponse {option} dit « {text} ».',
+            'allOfTheAbove.othersLookRight': 'Les réponses {options} semblent chacune justes.',
+            'allOfTheAbove.rule': 'Quand au moins deux réponses semblent justes, « toutes ces réponses » est souvent la bonne réponse.',
+
+            'opposites.pair': 'Les réponses {options} sont contraires : {first} et {second}.',
+            'opposites.crossOut': 'Quand deux réponses sont contraires, l\'une des deux est souvent la bonne, donc barre les autres.',
+            'opposites.noHelp': 'Aucune réponse n\'est le contraire d\'une autre, donc cette stratégie ne t\'aide pas ici.',
+
+            'absolute.crossOutOne': 'La réponse {option} utilise le mot absolu {words}, donc barre-la.',
+            'absolute.crossOutMany': 'La réponse {option} utilise les mots absolus {words}, donc barre-la.',
+            'absolute.noHelp': 'Cette stratégie ne peut barrer aucune réponse ici, car les mots absolus ne laissent pas de choix clair.',
+            'absolute.softer': 'La réponse {option} utilise le mot nuancé « {word} », donc c\'est sans doute la bonne.',
+
+            'grammar.needsVowel': 'La question se termine par « {word} », donc la réponse doit commencer par un son de voyelle.',
+            'grammar.needsConsonant': 'La question se termine par « {word} », donc la réponse doit commencer par un son de consonne.',
+            'grammar.needsPlural': 'La question se termine par « {word} », donc la réponse doit être au pluriel.',
+            'grammar.needsSingular': 'La question se termine par « {word} », donc la réponse doit être au singulier.',
+            'grammar.notVowel': 'La réponse {option} ne commence pas par un son de voyelle, donc barre-la.',
+            'grammar.notConsonant': 'La réponse {option} ne commence pas par un son de consonne, donc barre-la.',
+            'grammar.notPlural': 'La réponse {option} n\'est pas au pluriel, donc barre-la.',
+            'grammar.notSingular': 'La réponse {option} n\'est pas au singulier, donc barre-la.',
+            'grammar.noRule': 'La question ne se termine pas par un mot avec lequel la réponse doit s\'accorder, donc cette stratégie ne t\'aide pas ici.',
+            'grammar.noHelp': 'Toutes les réponses s\'accordent aussi bien, donc cette stratégie ne t\'aide pas ici.',
+
+            'analysis.listWords': 'et ou',
+            'analysis.articles': 'le la les l\' un une des du d\'',
+            'analysis.absoluteWords': 'toujours jamais tout tous toute toutes aucun aucune rien seulement uniquement doit doivent chaque complètement totalement entièrement',
+            'analysis.qualifierWords': 'souvent parfois généralement peut peuvent pourrait quelques plusieurs certains plupart probablement rarement',
+            'analysis.opposites': 'augmente/diminue augmenter/diminuer monte/descend plus/moins haut/bas chaud/froid avant/après vrai/faux rapide/lent fort/faible grand/petit hausse/baisse gagne/perd positif/négatif ouvert/fermé intérieur/extérieur dedans/dehors',
+            'analysis.allOfTheAbove': 'toutes ces réponses|toutes les réponses ci-dessus|tout ce qui précède'
+        }
+    }
+};